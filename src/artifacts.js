@@ -0,0 +1,70 @@
+import { mkdirSync, readdirSync, statSync, rmSync, readFileSync } from 'fs';
+import { join, extname } from 'path';
+import { homedir } from 'os';
+import { randomBytes } from 'crypto';
+import { pathToFileURL } from 'url';
+
+export const ARTIFACTS_DIR = join(process.env.GM_EXEC_STATE_DIR || join(homedir(), '.gm-exec'), 'artifacts');
+
+const MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_ARTIFACTS = 50;
+const MAX_INLINE_IMAGE_BYTES = 5 * 1024 * 1024;
+
+const MIME_TYPES = {
+  '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.svg': 'image/svg+xml',
+  '.gif': 'image/gif', '.webp': 'image/webp', '.pdf': 'application/pdf', '.json': 'application/json',
+  '.csv': 'text/csv', '.txt': 'text/plain', '.md': 'text/markdown', '.html': 'text/html', '.xml': 'application/xml',
+  '.zip': 'application/zip', '.gz': 'application/gzip', '.tar': 'application/x-tar', '.wav': 'audio/wav', '.mp3': 'audio/mpeg',
+  '.mp4': 'video/mp4', '.ipynb': 'application/x-ipynb+json',
+};
+
+// Sent back inline as MCP image content; everything else becomes a resource link.
+const INLINE_IMAGES = new Set(['image/png', 'image/jpeg', 'image/svg+xml']);
+
+export function mimeType(name) {
+  return MIME_TYPES[extname(name).toLowerCase()] || 'application/octet-stream';
+}
+
+// Each task gets its own directory, exposed to the program as $GM_EXEC_ARTIFACTS.
+// Directories untouched for a week are removed on the way.
+export function createArtifactsDir(taskId) {
+  mkdirSync(ARTIFACTS_DIR, { recursive: true, mode: 0o700 });
+  const cutoff = Date.now() - MAX_AGE_MS;
+  for (const name of readdirSync(ARTIFACTS_DIR)) {
+    try { if (statSync(join(ARTIFACTS_DIR, name)).mtimeMs < cutoff) rmSync(join(ARTIFACTS_DIR, name), { recursive: true, force: true }); } catch {}
+  }
+  const dir = join(ARTIFACTS_DIR, `task_${taskId}_${randomBytes(3).toString('hex')}`);
+  mkdirSync(dir, { mode: 0o700 });
+  return dir;
+}
+
+// Lists what the task left in its artifacts dir, removing the dir when it is empty.
+export function collectArtifacts(dir) {
+  const artifacts = [];
+  const walk = (sub) => {
+    for (const entry of readdirSync(join(dir, sub), { withFileTypes: true })) {
+      const name = sub ? `${sub}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) { walk(name); continue; }
+      if (!entry.isFile() || artifacts.length >= MAX_ARTIFACTS) continue;
+      const path = join(dir, name);
+      artifacts.push({ name, path, size: statSync(path).size, mimeType: mimeType(name) });
+    }
+  };
+  try { walk(''); } catch { return []; }
+  if (!artifacts.length) { try { rmSync(dir, { recursive: true, force: true }); } catch {} }
+  return artifacts.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export function artifactContent(artifact) {
+  if (INLINE_IMAGES.has(artifact.mimeType) && artifact.size <= MAX_INLINE_IMAGE_BYTES) {
+    try { return { type: 'image', data: readFileSync(artifact.path).toString('base64'), mimeType: artifact.mimeType }; } catch {}
+  }
+  return {
+    type: 'resource_link', uri: pathToFileURL(artifact.path).href, name: artifact.name,
+    mimeType: artifact.mimeType, size: artifact.size, description: `${artifact.size} bytes`,
+  };
+}
+
+export function formatArtifacts(artifacts) {
+  return artifacts.map(a => `${a.path} (${a.mimeType}, ${a.size} bytes)`).join('\n');
+}
@@ -1,34 +1,385 @@
 import { EventEmitter } from 'events';
+import { appendFileSync, readFileSync, writeFileSync, renameSync, mkdirSync, readdirSync, unlinkSync, openSync, readSync, closeSync } from 'fs';
+import { dirname, join } from 'path';
+import { reapProcess, processStartTime } from './limits.js';
+import { discardWorkspace, pruneWorkspaces } from './workspace.js';
+
+const DONE_STATUSES = ['completed', 'failed', 'interrupted'];
+// Every SPILL_MARK_EVERY-th entry's byte offset in the spill file is kept in memory,
+// so a cursor read seeks close to its start instead of parsing the whole file.
+const SPILL_MARK_EVERY = 256;
+const SPILL_CHUNK_BYTES = 64 * 1024;
+// Output returned by one read; callers continue from `next` while `more` is set.
+const MAX_READ_BYTES = 256 * 1024;
+// A tail is a glance at recent output, so it is held to less.
+const MAX_TAIL_BYTES = 64 * 1024;
+
+const NAME_RE = /^[A-Za-z][A-Za-z0-9_.-]{0,63}$/;
+
+function definitionOf({ id, code, runtime, workingDirectory, options, rerunOf = null, name = null }) {
+  return { id, code, runtime, workingDirectory, options, rerunOf, name };
+}
+
+// Inline files and stdin live in payloads/<id>.json rather than the journal, and
+// env values are only ever held in memory: the journal keeps their names, with a
+// marker in place of each value. A null value (unset the variable) is kept as is.
+const REDACTED = { redacted: true };
+
+// A recorded { pid, start } that is still the same process. Off Linux, where there
+// is no start time, any live process with that pid counts.
+function stillRunning({ pid, start }) {
+  const current = processStartTime(pid);
+  if (current !== null) return current === start;
+  try { process.kill(pid, 0); return true; } catch (e) { return e.code === 'EPERM'; }
+}
+
+function isRedacted(value) {
+  return value !== null && typeof value === 'object' && value.redacted === true;
+}
+
+// A rerun's options: `env` on top of the original variables, `args` in place of the
+// original ones. Only a definition reloaded from the journal has redacted values,
+// and those have to be given again.
+export function rerunOptions(definition, { env, args } = {}) {
+  const options = { ...definition.options };
+  if (env) options.env = { ...options.env, ...env };
+  if (args) options.args = args;
+  const missing = Object.keys(options.env || {}).filter(k => isRedacted(options.env[k]));
+  if (missing.length) throw new Error(`Environment values of task_${definition.id} are not kept across runner restarts; pass them again: ${missing.join(', ')}`);
+  return options;
+}
+
+function withoutPayload({ files, stdin, ...options } = {}) {
+  return options;
+}
+
+function journaled(record) {
+  const options = withoutPayload(record.options);
+  if (options.env) options.env = Object.fromEntries(Object.entries(options.env).map(([k, v]) => [k, v === null ? null : REDACTED]));
+  return { ...record, options };
+}
+
+// Names start with a letter so they can never be mistaken for `task_N` or `N`.
+export function validateTaskName(name) {
+  if (name === undefined || name === null) return null;
+  if (typeof name !== 'string' || !NAME_RE.test(name) || /^task_\d+$/.test(name)) {
+    throw new Error(`Invalid task name "${name}": use a letter followed by letters, digits, ".", "_" or "-"`);
+  }
+  return name;
+}
 
 export class BackgroundTaskStore extends EventEmitter {
   constructor() {
     super();
+    this.setMaxListeners(0);
     this.tasks = new Map();
+    this.definitions = new Map();
     this.taskCounter = 0;
     this.maxAge = 30 * 60 * 1000;
     this.maxTasks = 1000;
+    this.maxDefinitions = 100;
     this.maxOutputSize = 100 * 1024;
+    this.journalFile = null;
+    this.outputDir = null;
+    this.payloadDir = null;
+    this.lockFile = null;
+    this.journalBytes = 0;
+    this.spillIndex = new Map(); // taskId -> { bytes, marks: [[n, offset], …] }
+    this.maxJournalSize = 10 * 1024 * 1024;
     this.cleanupTimer = setInterval(() => this.cleanup(), 5 * 60 * 1000);
     if (this.cleanupTimer.unref) this.cleanupTimer.unref();
   }
 
   cleanup() {
     const now = Date.now();
+    const before = this.tasks.size;
     for (const [id, task] of this.tasks) {
-      if ((task.status === 'completed' || task.status === 'failed') &&
+      if (DONE_STATUSES.includes(task.status) &&
           task.completedAt && (now - task.completedAt > this.maxAge)) {
-        this.tasks.delete(id);
+        this.forget(task);
       }
     }
     if (this.tasks.size > this.maxTasks) {
       const expired = [...this.tasks.entries()]
-        .filter(([, t]) => t.status === 'completed' || t.status === 'failed')
+        .filter(([, t]) => DONE_STATUSES.includes(t.status))
         .sort((a, b) => a[1].completedAt - b[1].completedAt);
-      for (const [id] of expired) {
-        this.tasks.delete(id);
+      for (const [, task] of expired) {
+        this.forget(task);
         if (this.tasks.size <= this.maxTasks) break;
       }
     }
+    pruneWorkspaces();
+    if (this.journalFile && (this.tasks.size !== before || this.journalBytes > this.maxJournalSize)) {
+      this.compactJournal();
+    }
+  }
+
+  // Append-only journal: every mutation is written as one JSON line, replayed on
+  // attach and rewritten as a snapshot when it grows or tasks expire. Task output
+  // is not journaled; it spills to output/<id>.jsonl next to the journal instead.
+  attachJournal(file) {
+    this.lockJournal(file);
+    this.journalFile = file;
+    this.outputDir = join(dirname(file), 'output');
+    this.payloadDir = join(dirname(file), 'payloads');
+    try { mkdirSync(this.outputDir, { recursive: true, mode: 0o700 }); } catch {}
+    try { mkdirSync(this.payloadDir, { recursive: true, mode: 0o700 }); } catch {}
+    this.replayJournal();
+    this.compactJournal();
+    try {
+      for (const f of readdirSync(this.outputDir)) {
+        if (!this.tasks.has(parseInt(f, 10))) this.removeSpill(parseInt(f, 10));
+      }
+    } catch {}
+    try {
+      for (const f of readdirSync(this.payloadDir)) {
+        const id = parseInt(f, 10);
+        if (!this.tasks.has(id) && !this.definitions.has(id)) this.removePayload(id);
+      }
+    } catch {}
+  }
+
+  // One store per journal: a second runner on the same state dir would replay it and
+  // reap the first one's running tasks as if they had been left behind.
+  lockJournal(file) {
+    const lock = `${file}.lock`;
+    const self = { pid: process.pid, start: processStartTime(process.pid) };
+    mkdirSync(dirname(file), { recursive: true, mode: 0o700 });
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        writeFileSync(lock, JSON.stringify(self), { flag: 'wx', mode: 0o600 });
+        this.lockFile = lock;
+        return;
+      } catch (e) { if (e.code !== 'EEXIST') throw e; }
+      let holder = null;
+      try { holder = JSON.parse(readFileSync(lock, 'utf8')); } catch {}
+      if (holder?.pid && holder.pid !== process.pid && stillRunning(holder)) {
+        throw new Error(`Another runner (pid ${holder.pid}) is using ${dirname(file)}`);
+      }
+      try { unlinkSync(lock); } catch {}
+    }
+    throw new Error(`Could not lock ${file}`);
+  }
+
+  unlockJournal() {
+    if (!this.lockFile) return;
+    try { if (JSON.parse(readFileSync(this.lockFile, 'utf8')).pid === process.pid) unlinkSync(this.lockFile); } catch {}
+    this.lockFile = null;
+  }
+
+  replayJournal() {
+    let lines;
+    try { lines = readFileSync(this.journalFile, 'utf8').split('\n'); } catch { return; }
+    for (const line of lines) {
+      if (!line) continue;
+      try { this.applyRecord(JSON.parse(line)); } catch {}
+    }
+    const now = Date.now();
+    for (const task of this.tasks.values()) {
+      if (task.outputSeq === undefined) {
+        task.outputLog.forEach((e, i) => { if (e.n === undefined) e.n = i; });
+        task.outputSeq = task.outputLog.length;
+      }
+      const lastSeq = this.indexSpill(task.id);
+      if (lastSeq !== null) {
+        task.outputLog = this.readSpillTail(task.id, Infinity, this.maxOutputSize);
+        task.outputSeq = lastSeq + 1;
+        this.trimOutput(task);
+      }
+      if (task.status === 'running' || task.status === 'pending') {
+        task.completedAt = now;
+        task.result = { error: 'Runner stopped while task was running' };
+        task.status = 'interrupted';
+        // A runner that crashed left the task's processes running with no way to reach them.
+        for (const recorded of [task.processGroup, task.wrapper]) reapProcess(recorded).catch(() => {});
+      }
+      delete task.processGroup;
+      delete task.wrapper;
+    }
+  }
+
+  applyRecord(rec) {
+    const task = rec.id !== undefined ? this.tasks.get(rec.id) : null;
+    switch (rec.op) {
+      case 'meta': this.taskCounter = Math.max(this.taskCounter, rec.taskCounter || 0); break;
+      case 'task':
+        this.tasks.set(rec.task.id, rec.task);
+        this.taskCounter = Math.max(this.taskCounter, rec.task.id);
+        break;
+      case 'update': if (task) Object.assign(task, rec.fields); break;
+      case 'output': if (task) { task.outputLog.push(rec.entry); this.trimOutput(task); } break;
+      case 'clearOutput': if (task) task.outputLog = []; break;
+      case 'delete':
+        if (task) this.remember(task);
+        this.tasks.delete(rec.id);
+        break;
+      case 'definition': this.remember(rec.definition); break;
+    }
+  }
+
+  journal(rec) {
+    if (!this.journalFile) return;
+    try {
+      const line = JSON.stringify(rec) + '\n';
+      appendFileSync(this.journalFile, line, { mode: 0o600 });
+      this.journalBytes += line.length;
+    } catch {}
+  }
+
+  payloadFile(taskId) {
+    return this.payloadDir ? join(this.payloadDir, `${taskId}.json`) : null;
+  }
+
+  savePayload(taskId, { files, stdin }) {
+    const file = this.payloadFile(taskId);
+    if (!file || (files === undefined && stdin === undefined)) return false;
+    try { writeFileSync(file, JSON.stringify({ files, stdin }), { mode: 0o600 }); return true; } catch { return false; }
+  }
+
+  loadPayload(taskId) {
+    const file = this.payloadFile(taskId);
+    if (!file) return {};
+    try { return JSON.parse(readFileSync(file, 'utf8')); } catch { return {}; }
+  }
+
+  removePayload(taskId) {
+    const file = this.payloadFile(taskId);
+    if (file) { try { unlinkSync(file); } catch {} }
+  }
+
+  spillFile(taskId) {
+    return this.outputDir ? join(this.outputDir, `${taskId}.jsonl`) : null;
+  }
+
+  spill(taskId, entry) {
+    const file = this.spillFile(taskId);
+    if (!file) return;
+    const line = JSON.stringify(entry) + '\n';
+    try { appendFileSync(file, line, { mode: 0o600 }); } catch { return; }
+    const index = this.spillIndexOf(taskId);
+    if (entry.n % SPILL_MARK_EVERY === 0) index.marks.push([entry.n, index.bytes]);
+    index.bytes += Buffer.byteLength(line);
+  }
+
+  spillIndexOf(taskId) {
+    if (!this.spillIndex.has(taskId)) this.spillIndex.set(taskId, { bytes: 0, marks: [] });
+    return this.spillIndex.get(taskId);
+  }
+
+  // Rebuilds a spill file's index after a restart, a chunk at a time. Returns the
+  // last sequence number in the file, or null when there is none.
+  indexSpill(taskId) {
+    const file = this.spillFile(taskId);
+    let fd;
+    try { fd = openSync(file, 'r'); } catch { return null; }
+    const index = { bytes: 0, marks: [] };
+    let lastSeq = null;
+    let rest = Buffer.alloc(0);
+    try {
+      const chunk = Buffer.alloc(SPILL_CHUNK_BYTES);
+      let read;
+      while ((read = readSync(fd, chunk, 0, chunk.length, index.bytes + rest.length)) > 0) {
+        let buf = Buffer.concat([rest, chunk.subarray(0, read)]);
+        let nl;
+        while ((nl = buf.indexOf(10)) !== -1) {
+          const n = Number(/^\{"n":(\d+)/.exec(buf.toString('utf8', 0, Math.min(nl, 32)))?.[1]);
+          if (Number.isInteger(n)) {
+            if (n % SPILL_MARK_EVERY === 0) index.marks.push([n, index.bytes]);
+            lastSeq = n;
+          }
+          index.bytes += nl + 1;
+          buf = buf.subarray(nl + 1);
+        }
+        rest = Buffer.from(buf);
+      }
+      index.bytes += rest.length;
+    } catch {} finally { closeSync(fd); }
+    this.spillIndex.set(taskId, index);
+    return lastSeq;
+  }
+
+  parseLines(text) {
+    const entries = [];
+    for (const line of text.split('\n')) {
+      if (!line) continue;
+      try { entries.push(JSON.parse(line)); } catch {}
+    }
+    return entries;
+  }
+
+  // Entries from `since` on, starting at the nearest mark and stopping once
+  // `maxBytes` of output has been collected.
+  readSpillFrom(taskId, since, maxBytes = MAX_READ_BYTES) {
+    const index = this.spillIndex.get(taskId);
+    if (!index?.bytes) return { entries: [], more: false };
+    let offset = 0;
+    for (const [n, at] of index.marks) { if (n > since) break; offset = at; }
+    const entries = [];
+    let size = 0;
+    let fd;
+    try { fd = openSync(this.spillFile(taskId), 'r'); } catch { return { entries, more: false }; }
+    try {
+      const chunk = Buffer.alloc(SPILL_CHUNK_BYTES);
+      let rest = '';
+      while (offset < index.bytes) {
+        const read = readSync(fd, chunk, 0, Math.min(chunk.length, index.bytes - offset), offset);
+        if (!read) break;
+        offset += read;
+        const text = rest + chunk.toString('utf8', 0, read);
+        const cut = text.lastIndexOf('\n') + 1;
+        rest = text.slice(cut);
+        for (const entry of this.parseLines(text.slice(0, cut))) {
+          if (entry.n < since) continue;
+          if (size >= maxBytes) return { entries, more: true };
+          entries.push(entry);
+          size += entry.d.length;
+        }
+      }
+    } catch {} finally { closeSync(fd); }
+    return { entries, more: false };
+  }
+
+  // The last `count` entries, read backwards until they or `maxBytes` are reached.
+  readSpillTail(taskId, count, maxBytes = MAX_READ_BYTES) {
+    const index = this.spillIndex.get(taskId);
+    if (!index?.bytes) return [];
+    let fd;
+    try { fd = openSync(this.spillFile(taskId), 'r'); } catch { return []; }
+    let text = '';
+    let start = index.bytes;
+    try {
+      const chunk = Buffer.alloc(SPILL_CHUNK_BYTES);
+      while (start > 0 && index.bytes - start < maxBytes) {
+        const len = Math.min(chunk.length, start);
+        start -= len;
+        readSync(fd, chunk, 0, len, start);
+        text = chunk.toString('latin1', 0, len) + text;
+        if (text.split('\n').length > count + 1) break;
+      }
+    } catch {} finally { closeSync(fd); }
+    const lines = Buffer.from(text, 'latin1').toString('utf8').split('\n');
+    if (start > 0) lines.shift();
+    return this.parseLines(lines.join('\n')).slice(-count);
+  }
+
+  removeSpill(taskId) {
+    this.spillIndex.delete(taskId);
+    const file = this.spillFile(taskId);
+    if (file) { try { unlinkSync(file); } catch {} }
+  }
+
+  compactJournal() {
+    if (!this.journalFile) return;
+    const lines = [JSON.stringify({ op: 'meta', taskCounter: this.taskCounter })];
+    for (const definition of this.definitions.values()) lines.push(JSON.stringify({ op: 'definition', definition: journaled(definition) }));
+    for (const task of this.tasks.values()) lines.push(JSON.stringify({ op: 'task', task: journaled(task) }));
+    const data = lines.join('\n') + '\n';
+    const tmp = this.journalFile + '.tmp';
+    try {
+      writeFileSync(tmp, data, { mode: 0o600 });
+      renameSync(tmp, this.journalFile);
+      this.journalBytes = data.length;
+    } catch {}
   }
 
   shutdown() {
@@ -36,47 +387,81 @@ export class BackgroundTaskStore extends EventEmitter {
       clearInterval(this.cleanupTimer);
       this.cleanupTimer = null;
     }
-    for (const [, task] of this.tasks) {
+    for (const [id, task] of this.tasks) {
       if (task.status === 'running' || task.status === 'pending') {
-        task.completedAt = Date.now();
-        task.result = { error: 'Process shutting down' };
-        task.status = 'failed';
+        this.updateTask(id, { completedAt: Date.now(), result: { error: 'Runner stopped while task was running' }, status: 'interrupted' });
       }
     }
+    this.unlockJournal();
   }
 
-  createTask(code, runtime, workingDirectory) {
+  updateTask(taskId, fields) {
+    const task = this.tasks.get(taskId);
+    if (!task) return null;
+    Object.assign(task, fields);
+    this.journal({ op: 'update', id: taskId, fields });
+    return task;
+  }
+
+  createTask(code, runtime, workingDirectory, options = {}, { rerunOf = null, name = null } = {}) {
     const taskId = ++this.taskCounter;
-    this.tasks.set(taskId, {
-      id: taskId, code, runtime, workingDirectory,
+    const task = {
+      id: taskId, code, runtime, workingDirectory, options: options || {}, rerunOf, name: validateTaskName(name),
       createdAt: Date.now(), startedAt: null,
       completedAt: null, result: null, status: 'pending',
-      outputLog: []
-    });
+      outputLog: [], outputSeq: 0
+    };
+    this.tasks.set(taskId, task);
+    this.savePayload(taskId, task.options);
+    this.journal({ op: 'task', task: journaled(task) });
     return taskId;
   }
 
   startTask(taskId) {
-    const task = this.tasks.get(taskId);
-    if (task) { task.startedAt = Date.now(); task.status = 'running'; }
+    this.updateTask(taskId, { startedAt: Date.now(), status: 'running' });
   }
 
   completeTask(taskId, result) {
-    const task = this.tasks.get(taskId);
-    if (task) { task.completedAt = Date.now(); task.result = result; task.status = 'completed'; this.emit(`output:${taskId}`); }
+    if (this.updateTask(taskId, { completedAt: Date.now(), result, status: 'completed' })) this.emit(`output:${taskId}`);
   }
 
   failTask(taskId, error) {
-    const task = this.tasks.get(taskId);
-    if (task) { task.completedAt = Date.now(); task.result = { error: error.message }; task.status = 'failed'; this.emit(`output:${taskId}`); }
+    if (this.updateTask(taskId, { completedAt: Date.now(), result: { error: error.message }, status: 'failed' })) this.emit(`output:${taskId}`);
   }
 
   appendOutput(taskId, type, data) {
     const task = this.tasks.get(taskId);
     if (!task || (task.status !== 'running' && task.status !== 'pending')) return;
-    const timestamp = Date.now();
-    task.outputLog.push({ t: timestamp, s: type, d: data });
-    this.emit(`output:${taskId}`);
+    const entry = { n: task.outputSeq++, t: Date.now(), s: type, d: data };
+    task.outputLog.push(entry);
+    this.spill(taskId, entry);
+    this.emit(`output:${taskId}`, entry);
+    this.trimOutput(task);
+  }
+
+  // Non-destructive read from a sequence cursor, or of the last `tail` entries. The
+  // in-memory log only keeps the most recent output, so older entries come from the
+  // spill file. At most MAX_READ_BYTES is returned; `more` says to read on from `next`.
+  readOutput(taskId, { since = 0, tail } = {}) {
+    const task = this.tasks.get(taskId);
+    if (!task) return null;
+    const first = task.outputLog.length ? task.outputLog[0].n : task.outputSeq;
+    if (tail) {
+      let entries = task.outputLog.length >= tail || first === 0 ? task.outputLog : this.readSpillTail(taskId, tail, MAX_TAIL_BYTES);
+      if (!entries.length) entries = task.outputLog;
+      entries = entries.filter(e => e.n >= since).slice(-tail);
+      let size = 0, start = entries.length;
+      while (start > 0 && (start === entries.length || size + entries[start - 1].d.length <= MAX_TAIL_BYTES)) size += entries[--start].d.length;
+      return { entries: entries.slice(start), next: task.outputSeq, truncated: false, more: false };
+    }
+    let entries = [], more = false;
+    if (since < first) ({ entries, more } = this.readSpillFrom(taskId, since));
+    if (!entries.length) entries = task.outputLog.filter(e => e.n >= since);
+    const next = more ? entries[entries.length - 1].n + 1 : task.outputSeq;
+    return { entries, next, truncated: entries.length > 0 && entries[0].n > since, more };
+  }
+
+  trimOutput(task) {
     const totalLen = task.outputLog.reduce((sum, e) => sum + e.d.length, 0);
     if (totalLen > this.maxOutputSize) {
       while (task.outputLog.length > 1 && 
@@ -110,16 +495,60 @@ export class BackgroundTaskStore extends EventEmitter {
     });
   }
 
-  getAndClearOutput(taskId) {
+  // What it takes to run a task again. Kept for the most recently deleted tasks too,
+  // since foreground runs are deleted as soon as their result is returned. Payloads
+  // stay on disk until the definition is dropped and are read back for a rerun.
+  remember(task) {
+    const definition = definitionOf(task);
+    if (this.payloadDir) definition.options = withoutPayload(definition.options);
+    this.definitions.delete(task.id);
+    this.definitions.set(task.id, definition);
+    if (this.definitions.size > this.maxDefinitions) {
+      const oldest = this.definitions.keys().next().value;
+      this.definitions.delete(oldest);
+      if (!this.tasks.has(oldest)) this.removePayload(oldest);
+    }
+  }
+
+  getDefinition(taskId) {
     const task = this.tasks.get(taskId);
-    if (!task) return [];
-    const log = task.outputLog;
-    task.outputLog = [];
-    return log;
+    const definition = task ? definitionOf(task) : this.definitions.get(taskId);
+    if (!definition) return null;
+    if ('files' in definition.options || 'stdin' in definition.options) return definition;
+    const { files, stdin } = this.loadPayload(taskId);
+    return { ...definition, options: { ...definition.options, ...(files !== undefined ? { files } : {}), ...(stdin !== undefined ? { stdin } : {}) } };
+  }
+
+  // The newest task with this name; with `includeDeleted`, remembered definitions count too.
+  findByName(name, { includeDeleted = false } = {}) {
+    const pools = [this.tasks.values(), ...(includeDeleted ? [this.definitions.values()] : [])];
+    let found = null;
+    for (const pool of pools) {
+      for (const task of pool) if (task.name === name && (!found || task.id > found.id)) found = task;
+      if (found) return found;
+    }
+    return null;
   }
 
   getTask(taskId) { return this.tasks.get(taskId); }
-  deleteTask(taskId) { this.tasks.delete(taskId); }
+  // Drops a task, keeping its definition for rerun. Its spilled output and any
+  // --isolated-cwd copy it kept go with it, unless the result naming that copy has
+  // only just been handed back.
+  forget(task, { keepWorkspace = false } = {}) {
+    this.remember(task);
+    this.tasks.delete(task.id);
+    this.removeSpill(task.id);
+    const workspace = task.result?.isolated;
+    if (workspace?.kept && !keepWorkspace) { try { discardWorkspace(workspace.id); } catch {} }
+  }
+
+  deleteTask(taskId, options) {
+    const task = this.tasks.get(taskId);
+    if (!task) return;
+    this.forget(task, options);
+    this.journal({ op: 'delete', id: taskId });
+    this.emit(`output:${taskId}`);
+  }
   getAllTasks() { return Array.from(this.tasks.values()); }
 }
 
@@ -0,0 +1,218 @@
+import { test, expect, afterEach, afterAll } from 'bun:test';
+import { spawn } from 'child_process';
+import { mkdtempSync, readFileSync, writeFileSync, appendFileSync, existsSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+// Expiring tasks prunes workspaces, which live under the state dir.
+const stateDir = mkdtempSync(join(tmpdir(), 'gm-exec-state-'));
+const savedStateDir = process.env.GM_EXEC_STATE_DIR;
+process.env.GM_EXEC_STATE_DIR = stateDir;
+const { BackgroundTaskStore, rerunOptions } = await import('./background-tasks.js');
+const { processStartTime } = await import('./limits.js');
+
+const dirs = [];
+const stores = [];
+
+function journalStore(dir = mkdtempSync(join(tmpdir(), 'gm-exec-store-'))) {
+  if (!dirs.includes(dir)) dirs.push(dir);
+  const store = new BackgroundTaskStore();
+  store.attachJournal(join(dir, 'tasks.jsonl'));
+  stores.push(store);
+  return { store, dir, journal: () => readFileSync(join(dir, 'tasks.jsonl'), 'utf8') };
+}
+
+afterEach(() => {
+  for (const store of stores.splice(0)) store.shutdown();
+  for (const dir of dirs.splice(0)) rmSync(dir, { recursive: true, force: true });
+});
+
+afterAll(() => {
+  rmSync(stateDir, { recursive: true, force: true });
+  if (savedStateDir === undefined) delete process.env.GM_EXEC_STATE_DIR;
+  else process.env.GM_EXEC_STATE_DIR = savedStateDir;
+});
+
+const alive = (pid) => { try { process.kill(pid, 0); return true; } catch { return false; } };
+
+test('replay restores tasks, definitions and the id counter and skips corrupt lines', () => {
+  const { store, dir } = journalStore();
+  const done = store.createTask('echo done', 'bash', '/', {}, { name: 'build' });
+  store.startTask(done);
+  store.completeTask(done, { success: true, exitCode: 0 });
+  const gone = store.createTask('echo gone', 'python', '/tmp');
+  store.deleteTask(gone);
+  appendFileSync(join(dir, 'tasks.jsonl'), '{"op":"update","id":\n');
+  const { store: reloaded } = journalStore(dir);
+  expect(reloaded.getTask(done)).toMatchObject({ status: 'completed', name: 'build', result: { exitCode: 0 } });
+  expect(reloaded.getTask(gone)).toBeUndefined();
+  expect(reloaded.getDefinition(gone)).toMatchObject({ code: 'echo gone', runtime: 'python', workingDirectory: '/tmp' });
+  expect(reloaded.createTask('echo', 'bash', '/')).toBe(gone + 1);
+});
+
+test('a task the last runner left running is interrupted and its process group reaped', async () => {
+  const { store, dir } = journalStore();
+  const id = store.createTask('sleep 30', 'bash', '/');
+  store.startTask(id);
+  const orphan = spawn('sleep', ['30'], { detached: true, stdio: 'ignore' });
+  try {
+    await new Promise(r => orphan.once('spawn', r));
+    store.updateTask(id, { processGroup: { pid: orphan.pid, start: processStartTime(orphan.pid) } });
+    const { store: reloaded } = journalStore(dir);
+    expect(reloaded.getTask(id)).toMatchObject({ status: 'interrupted', result: { error: 'Runner stopped while task was running' } });
+    expect(reloaded.getTask(id).processGroup).toBeUndefined();
+    await new Promise(r => orphan.once('exit', r));
+    expect(alive(orphan.pid)).toBe(false);
+  } finally { orphan.kill('SIGKILL'); }
+});
+
+test('compaction rewrites the journal as one line per definition and task', () => {
+  const { store, dir, journal } = journalStore();
+  const id = store.createTask('seq 3', 'bash', '/');
+  store.startTask(id);
+  for (let i = 0; i < 50; i++) store.updateTask(id, { note: i });
+  store.deleteTask(store.createTask('true', 'bash', '/'));
+  store.compactJournal();
+  expect(journal().trim().split('\n').map(l => JSON.parse(l).op)).toEqual(['meta', 'definition', 'task']);
+  const { store: reloaded } = journalStore(dir);
+  expect(reloaded.getTask(id)).toMatchObject({ status: 'interrupted', note: 49 });
+});
+
+test('expired tasks are compacted away but stay rerunnable, and stray output and payloads go', () => {
+  const { store, dir, journal } = journalStore();
+  const id = store.createTask('echo old', 'bash', '/', { stdin: 'input' });
+  store.startTask(id);
+  store.appendOutput(id, 'stdout', 'old\n');
+  store.completeTask(id, { success: true });
+  store.maxAge = -1;
+  store.cleanup();
+  expect(store.getTask(id)).toBeUndefined();
+  expect(journal()).not.toContain('"op":"task"');
+  expect(existsSync(join(dir, 'output', `${id}.jsonl`))).toBe(false);
+  expect(store.getDefinition(id).options.stdin).toBe('input');
+  writeFileSync(join(dir, 'output', '99.jsonl'), '');
+  writeFileSync(join(dir, 'payloads', '99.json'), '{}');
+  const { store: reloaded } = journalStore(dir);
+  expect(existsSync(join(dir, 'output', '99.jsonl'))).toBe(false);
+  expect(existsSync(join(dir, 'payloads', '99.json'))).toBe(false);
+  expect(reloaded.getDefinition(id).options.stdin).toBe('input');
+});
+
+test('only the newest definitions are kept, and their payloads with them', () => {
+  const { store, dir } = journalStore();
+  store.maxDefinitions = 2;
+  const ids = [1, 2, 3].map(i => store.createTask(`echo ${i}`, 'bash', '/', { files: { 'a.txt': `${i}` } }));
+  for (const id of ids) store.deleteTask(id);
+  expect(store.getDefinition(ids[0])).toBeNull();
+  expect(existsSync(join(dir, 'payloads', `${ids[0]}.json`))).toBe(false);
+  expect(store.getDefinition(ids[2]).options.files).toEqual({ 'a.txt': '3' });
+});
+
+test('env values never reach the journal, unset variables do', () => {
+  const { store, dir, journal } = journalStore();
+  const id = store.createTask('echo', 'bash', '/', { env: { TOKEN: 's3cret', HOME: null } });
+  store.compactJournal();
+  expect(journal()).not.toContain('s3cret');
+  const { store: reloaded } = journalStore(dir);
+  expect(reloaded.getTask(id).options.env).toEqual({ TOKEN: { redacted: true }, HOME: null });
+});
+
+test('a task that unsets a variable can be rerun', () => {
+  const { store } = journalStore();
+  const id = store.createTask('echo $HOME', 'bash', '/', { env: { HOME: null } });
+  store.deleteTask(id);
+  expect(rerunOptions(store.getDefinition(id)).env).toEqual({ HOME: null });
+});
+
+test('a rerun after a restart asks for the redacted values only', () => {
+  const { store, dir } = journalStore();
+  const id = store.createTask('echo', 'bash', '/', { env: { TOKEN: 's3cret', HOME: null } });
+  store.deleteTask(id);
+  const { store: reloaded } = journalStore(dir);
+  const definition = reloaded.getDefinition(id);
+  expect(() => rerunOptions(definition)).toThrow(/pass them again: TOKEN$/);
+  expect(rerunOptions(definition, { env: { TOKEN: 'again' } }).env).toEqual({ TOKEN: 'again', HOME: null });
+});
+
+test('a second store refuses a journal a live runner holds', async () => {
+  const { store, dir, journal } = journalStore();
+  store.startTask(store.createTask('sleep 60', 'bash', '/'));
+  store.unlockJournal();
+  const before = journal();
+  const other = spawn('sleep', ['30'], { stdio: 'ignore' });
+  try {
+    await new Promise(r => other.once('spawn', r));
+    writeFileSync(join(dir, 'tasks.jsonl.lock'), JSON.stringify({ pid: other.pid, start: processStartTime(other.pid) }));
+    const second = new BackgroundTaskStore();
+    expect(() => second.attachJournal(join(dir, 'tasks.jsonl'))).toThrow(/Another runner \(pid \d+\)/);
+    second.shutdown();
+    expect(second.tasks.size).toBe(0);
+    expect(journal()).toBe(before);
+  } finally { other.kill(); }
+});
+
+test('a lock left by a dead runner is taken over and released on shutdown', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'gm-exec-store-'));
+  const lock = join(dir, 'tasks.jsonl.lock');
+  writeFileSync(lock, JSON.stringify({ pid: 2 ** 22 + 1, start: '1' }));
+  const { store } = journalStore(dir);
+  expect(JSON.parse(readFileSync(lock, 'utf8')).pid).toBe(process.pid);
+  store.shutdown();
+  expect(existsSync(lock)).toBe(false);
+});
+
+function runningTask(store, lines, line = i => `line ${i}\n`) {
+  const id = store.createTask('seq', 'bash', '/');
+  store.startTask(id);
+  for (let i = 0; i < lines; i++) store.appendOutput(id, 'stdout', line(i));
+  return id;
+}
+
+function readAll(store, id, since = 0) {
+  const entries = [];
+  let output;
+  do {
+    output = store.readOutput(id, { since });
+    entries.push(...output.entries);
+    since = output.next;
+  } while (output.more);
+  return entries;
+}
+
+test('reading output never consumes it', () => {
+  const { store } = journalStore();
+  const id = runningTask(store, 3000);
+  const first = store.readOutput(id, { since: 0 });
+  expect(store.readOutput(id, { since: 0 })).toEqual(first);
+  expect(store.getAndClearOutput).toBeUndefined();
+});
+
+test('output past the in-memory buffer is read back from the spill in bounded pages', () => {
+  const { store, dir } = journalStore();
+  const id = runningTask(store, 20000, i => `line ${i} ${'x'.repeat(40)}\n`);
+  expect(store.getTask(id).outputLog[0].n).toBeGreaterThan(0);
+  const pages = [];
+  let output = { next: 0, more: true };
+  while (output.more) {
+    output = store.readOutput(id, { since: output.next });
+    pages.push(output.entries.reduce((sum, e) => sum + e.d.length, 0));
+  }
+  expect(pages.length).toBeGreaterThan(1);
+  expect(Math.max(...pages)).toBeLessThanOrEqual(256 * 1024 + 64);
+  for (const s of [store, journalStore(dir).store]) {
+    const all = readAll(s, id);
+    expect(all.map(e => e.n)).toEqual([...Array(20000).keys()]);
+    expect(readAll(s, id, 12345)[0].d).toStartWith('line 12345 ');
+  }
+});
+
+test('tails are served by count and capped in bytes', () => {
+  const { store, dir } = journalStore();
+  const small = runningTask(store, 5000);
+  expect(store.readOutput(small, { tail: 3 }).entries.map(e => e.d)).toEqual(['line 4997\n', 'line 4998\n', 'line 4999\n']);
+  const big = runningTask(store, 50, i => `${i}`.padEnd(10000, '.'));
+  const tail = journalStore(dir).store.readOutput(big, { tail: 200 });
+  expect(tail.entries.at(-1).n).toBe(49);
+  expect(tail.entries.reduce((sum, e) => sum + e.d.length, 0)).toBeLessThanOrEqual(64 * 1024);
+  expect(tail.next).toBe(50);
+});
@@ -0,0 +1,73 @@
+#!/usr/bin/env bun
+import { spawn } from 'child_process';
+import { recoveryState } from './recovery-state.js';
+import { readState, updateState, clearState, STOP_GRACE_MS } from './bm2.js';
+
+// A run that stays up this long counts as a successful start and resets the backoff.
+const MIN_UPTIME_MS = 10000;
+
+const [name, script, ...args] = process.argv.slice(2);
+const { autorestart, maxRestarts, backoffMs } = readState(name);
+
+recoveryState.reset();
+recoveryState.maxStartupAttempts = maxRestarts + 1;
+recoveryState.backoffDelayMs = backoffMs;
+
+let child = null;
+let stopping = false;
+let restarts = 0;
+let restartTimer = null;
+
+const log = (msg) => process.stderr.write(`[bm2] ${new Date().toISOString()} ${name}: ${msg}\n`);
+
+// A restart through bm2.start may already have handed the state file to a new supervisor.
+function finish(code, state) {
+  if (state) updateState(name, state);
+  else if (readState(name)?.supervisorPid === process.pid) clearState(name);
+  process.exit(code);
+}
+
+function run() {
+  restartTimer = null;
+  const startedAt = Date.now();
+  let settled = false;
+  const stable = setTimeout(() => recoveryState.recordSuccess(), MIN_UPTIME_MS);
+  child = spawn('bun', [script, ...args], { stdio: ['ignore', 'inherit', 'inherit'], windowsHide: true });
+  updateState(name, { status: 'online', pid: child.pid, supervisorPid: process.pid, restarts, lastStartAt: startedAt });
+
+  const exited = (reason, failed) => {
+    if (settled) return;
+    settled = true;
+    clearTimeout(stable);
+    child = null;
+    if (stopping) finish(0);
+    log(reason);
+    if (autorestart === 'on-failure' && !failed) finish(0);
+    recoveryState.recordStartupAttempt(new Error(reason));
+    if (!recoveryState.canRetry()) {
+      const failures = recoveryState.startupAttempts;
+      log(`giving up after ${failures} failure${failures === 1 ? '' : 's'} in a row`);
+      finish(1, { status: 'errored', pid: null, lastError: reason, exitedAt: Date.now() });
+    }
+    const delay = recoveryState.getBackoffDelay();
+    restarts += 1;
+    log(`restarting in ${delay}ms`);
+    updateState(name, { status: 'restarting', pid: null, restarts, lastError: reason, nextStartAt: Date.now() + delay });
+    restartTimer = setTimeout(run, delay);
+  };
+  child.on('error', (e) => exited(`failed to start: ${e.message}`, true));
+  child.on('exit', (code, signal) => exited(signal ? `killed by ${signal}` : `exited with code ${code}`, code !== 0));
+}
+
+function stop() {
+  stopping = true;
+  if (restartTimer) clearTimeout(restartTimer);
+  if (!child) finish(0);
+  try { child.kill('SIGTERM'); } catch {}
+  setTimeout(() => { try { child?.kill('SIGKILL'); } catch {} finish(0); }, STOP_GRACE_MS).unref();
+}
+
+process.on('SIGTERM', stop);
+process.on('SIGINT', stop);
+process.on('SIGHUP', stop);
+run();
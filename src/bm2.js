@@ -1,16 +1,24 @@
 import { spawn, spawnSync } from 'child_process';
-import { readFileSync, writeFileSync, unlinkSync, existsSync, mkdirSync } from 'fs';
-import { join } from 'path';
+import { readFileSync, writeFileSync, unlinkSync, existsSync, mkdirSync, renameSync } from 'fs';
+import { join, dirname } from 'path';
 import { tmpdir } from 'os';
+import { fileURLToPath } from 'url';
+import { recoveryState } from './recovery-state.js';
 
 const IS_WIN = process.platform === 'win32';
 const BM2_DIR = join(tmpdir(), 'bm2');
+const SUPERVISOR_SCRIPT = join(dirname(fileURLToPath(import.meta.url)), 'bm2-supervisor.js');
+const AUTORESTART = ['no', 'always', 'on-failure'];
+// How long a supervisor gives its service to stop before killing it itself.
+export const STOP_GRACE_MS = 10000;
+const KILL_GRACE_MS = 3000;
 
 function ensureDir() {
   try { mkdirSync(BM2_DIR, { recursive: true }); } catch {}
 }
 
 function pidFile(name) { return join(BM2_DIR, name + '.pid'); }
+function stateFile(name) { return join(BM2_DIR, name + '.json'); }
 function logFile(name, stream) { return join(BM2_DIR, name + '-' + stream + '.log'); }
 
 function isAlive(pid) {
@@ -26,16 +34,48 @@ function readPid(name) {
   } catch { return null; }
 }
 
-export function start(name, script, args = []) {
+export function readState(name) {
+  try { return JSON.parse(readFileSync(stateFile(name), 'utf8')); } catch { return null; }
+}
+
+export function updateState(name, fields) {
+  const tmp = stateFile(name) + '.tmp';
+  writeFileSync(tmp, JSON.stringify({ ...readState(name), ...fields }));
+  renameSync(tmp, stateFile(name));
+}
+
+export function clearState(name) {
+  try { unlinkSync(stateFile(name)); } catch {}
+}
+
+function normalizeSupervision({ autorestart = 'no', maxRestarts = recoveryState.maxStartupAttempts, backoffMs = recoveryState.backoffDelayMs } = {}) {
+  if (autorestart === false) autorestart = 'no';
+  if (autorestart === true) autorestart = 'always';
+  if (!AUTORESTART.includes(autorestart)) throw new Error(`autorestart must be one of ${AUTORESTART.join(', ')}`);
+  if (!Number.isInteger(maxRestarts) || maxRestarts < 0) throw new Error('maxRestarts must be a non-negative integer');
+  if (typeof backoffMs !== 'number' || backoffMs < 0) throw new Error('backoffMs must be a non-negative number');
+  return { autorestart, maxRestarts, backoffMs };
+}
+
+// With `autorestart` set, the pid file holds a supervisor (bm2-supervisor.js) that
+// runs the script and restarts it: `always`, or `on-failure` for a non-zero exit or
+// a signal. Up to `maxRestarts` restarts in a row, with recoveryState's exponential
+// backoff; a run that stays up resets the count.
+export async function start(name, script, args = [], options = {}) {
+  const supervision = normalizeSupervision(options);
   ensureDir();
   const existing = readPid(name);
-  if (existing) kill(name);
+  if (existing) await kill(name);
+  clearState(name);
   const outLog = logFile(name, 'out');
   const errLog = logFile(name, 'err');
   const { openSync, closeSync } = require('fs');
   const outFd = openSync(outLog, 'w');
   const errFd = openSync(errLog, 'w');
-  const child = spawn('bun', [script, ...args], {
+  const supervised = supervision.autorestart !== 'no';
+  if (supervised) updateState(name, { name, ...supervision, status: 'launching', pid: null, restarts: 0, lastError: null, startedAt: Date.now() });
+  const argv = supervised ? [SUPERVISOR_SCRIPT, name, script, ...args] : [script, ...args];
+  const child = spawn('bun', argv, {
     detached: true,
     stdio: ['ignore', outFd, errFd],
     windowsHide: true,
@@ -47,36 +87,47 @@ export function start(name, script, args = []) {
   return child.pid;
 }
 
-export function kill(name) {
+// Sends SIGTERM and waits for the process to exit. One still running after the grace
+// period (a supervisor's own, plus a margin) is killed with its process group, and a
+// supervised service that outlived its supervisor goes with it.
+export async function kill(name) {
   const pid = readPid(name);
-  if (!pid) return false;
+  if (!pid) { clearState(name); return false; }
+  const service = readState(name)?.pid;
   try {
     if (IS_WIN) {
       spawnSync('taskkill', ['/pid', String(pid), '/t', '/f'], { stdio: 'ignore', windowsHide: true });
     } else {
       process.kill(pid, 'SIGTERM');
-      setTimeout(() => { try { process.kill(pid, 'SIGKILL'); } catch {} }, 3000);
+      const deadline = Date.now() + (service ? STOP_GRACE_MS + KILL_GRACE_MS : KILL_GRACE_MS);
+      while (isAlive(pid) && Date.now() < deadline) await new Promise(r => setTimeout(r, 100));
+      if (isAlive(pid)) { try { process.kill(-pid, 'SIGKILL'); } catch { process.kill(pid, 'SIGKILL'); } }
+      if (service && isAlive(service)) process.kill(service, 'SIGKILL');
     }
   } catch {}
   try { unlinkSync(pidFile(name)); } catch {}
+  clearState(name);
   return true;
 }
 
+// A supervised service reports its supervisor's view: the service pid, restarts and
+// last error. One that gave up keeps its state file and shows as `errored`.
+function entry(name) {
+  const pid = readPid(name);
+  const state = readState(name);
+  if (!state) return pid ? { name, pid, status: 'online' } : null;
+  const info = { name, autorestart: state.autorestart, restarts: state.restarts, lastError: state.lastError };
+  if (!pid) return state.status === 'errored' ? { ...info, pid: null, status: 'errored' } : null;
+  return { ...info, pid: state.pid, supervisorPid: pid, status: state.status === 'launching' ? 'online' : state.status };
+}
+
 export function list() {
   ensureDir();
-  const results = [];
   const { readdirSync } = require('fs');
-  for (const f of readdirSync(BM2_DIR)) {
-    if (!f.endsWith('.pid')) continue;
-    const name = f.replace(/\.pid$/, '');
-    const pid = readPid(name);
-    results.push({ name, pid, status: pid ? 'online' : 'stopped' });
-  }
-  return results;
+  const names = new Set(readdirSync(BM2_DIR).filter(f => /\.(pid|json)$/.test(f)).map(f => f.replace(/\.(pid|json)$/, '')));
+  return [...names].map(name => entry(name) || { name, pid: null, status: 'stopped' });
 }
 
 export function describe(name) {
-  const pid = readPid(name);
-  if (!pid) return null;
-  return { name, pid, status: 'online' };
+  return entry(name);
 }
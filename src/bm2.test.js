@@ -0,0 +1,64 @@
+import { test, expect, afterAll } from 'bun:test';
+import { mkdtempSync, writeFileSync, readFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+const base = mkdtempSync(join(tmpdir(), 'gm-exec-bm2-'));
+const savedTmpdir = process.env.TMPDIR;
+process.env.TMPDIR = base;
+const bm2 = await import('./bm2.js');
+
+afterAll(async () => {
+  for (const { name } of bm2.list()) await bm2.kill(name);
+  rmSync(base, { recursive: true, force: true });
+  if (savedTmpdir === undefined) delete process.env.TMPDIR;
+  else process.env.TMPDIR = savedTmpdir;
+});
+
+function script(name, body) {
+  const file = join(base, `${name}.js`);
+  writeFileSync(file, body);
+  return file;
+}
+
+async function until(check, timeoutMs = 15000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = check();
+    if (value || Date.now() > deadline) return value;
+    await new Promise(r => setTimeout(r, 50));
+  }
+}
+
+const errLog = (name) => readFileSync(join(base, 'bm2', `${name}-err.log`), 'utf8');
+const alive = (pid) => { try { process.kill(pid, 0); return true; } catch { return false; } };
+
+test('a service that keeps failing is restarted with backoff, then given up on', async () => {
+  await bm2.start('crashy', script('crashy', 'process.exit(3)'), [], { autorestart: 'always', maxRestarts: 2, backoffMs: 50 });
+  const state = await until(() => bm2.describe('crashy')?.status === 'errored' && bm2.describe('crashy'));
+  expect(state).toMatchObject({ status: 'errored', pid: null, restarts: 2, lastError: 'exited with code 3' });
+  const log = errLog('crashy');
+  expect(log).toContain('restarting in 50ms');
+  expect(log).toContain('restarting in 100ms');
+  expect(log).toContain('giving up after 3 failures in a row');
+});
+
+test('on-failure leaves a clean exit alone', async () => {
+  await bm2.start('once', script('once', 'console.log("ran")'), [], { autorestart: 'on-failure', backoffMs: 50 });
+  expect(await until(() => bm2.list().find(s => s.name === 'once')?.status === 'stopped')).toBe(true);
+  expect(readFileSync(join(base, 'bm2', 'once-out.log'), 'utf8')).toBe('ran\n');
+  expect(errLog('once')).not.toContain('restarting');
+});
+
+test('kill stops the supervisor and the service it runs', async () => {
+  await bm2.start('steady', script('steady', 'setInterval(() => {}, 1000)'), [], { autorestart: 'always' });
+  const { pid, supervisorPid } = await until(() => bm2.describe('steady')?.pid && bm2.describe('steady'));
+  expect(await bm2.kill('steady')).toBe(true);
+  expect([alive(pid), alive(supervisorPid)]).toEqual([false, false]);
+  expect(bm2.describe('steady')).toBeNull();
+});
+
+test('supervision options are checked before anything starts', async () => {
+  await expect(bm2.start('bad', script('bad', ''), [], { autorestart: 'sometimes' })).rejects.toThrow(/autorestart must be one of/);
+  await expect(bm2.start('bad', script('bad', ''), [], { autorestart: 'always', maxRestarts: -1 })).rejects.toThrow(/maxRestarts/);
+});
@@ -0,0 +1,92 @@
+import { createHash } from 'crypto';
+import { spawnSync } from 'child_process';
+import { mkdirSync, existsSync, renameSync, rmSync, readdirSync, readFileSync, statSync, utimesSync } from 'fs';
+import { join, dirname } from 'path';
+import { homedir } from 'os';
+
+export const CACHE_DIR = process.env.GM_EXEC_CACHE_DIR
+  || join(process.env.GM_EXEC_STATE_DIR || join(homedir(), '.gm-exec'), 'cache');
+
+const DEFAULT_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+const versions = new Map();
+
+// Asked from the build's cwd when given: go and rustup pick the toolchain from files there.
+export function compilerVersion(bin, flag = '--version', cwd) {
+  const memo = `${bin}\0${cwd || ''}`;
+  if (!versions.has(memo)) {
+    const r = spawnSync(bin, [flag], { cwd, encoding: 'utf8', timeout: 10000, windowsHide: true });
+    versions.set(memo, `${bin}: ${`${r.stdout || ''}${r.stderr || ''}`.split('\n')[0].trim()}`);
+  }
+  return versions.get(memo);
+}
+
+// Hashes the nearest copy of each named file at or above dir (go.mod, go.sum,
+// rust-toolchain.toml, …), which a build started in dir reads.
+export function nearestFiles(dir, names) {
+  const found = {};
+  for (const name of names) {
+    for (let d = dir; ; d = dirname(d)) {
+      let content = null;
+      try { content = readFileSync(join(d, name)); } catch {}
+      if (content) { found[join(d, name)] = createHash('sha256').update(content).digest('hex'); break; }
+      if (dirname(d) === d) break;
+    }
+  }
+  return found;
+}
+
+// Entries are keyed by everything that can change the output: runtime, source, cwd,
+// compiler version, flags and the module and toolchain files the build reads from cwd.
+export function cacheKey(parts) {
+  return createHash('sha256').update(JSON.stringify(parts)).digest('hex').slice(0, 32);
+}
+
+export function lookupCompiled(key) {
+  const dir = join(CACHE_DIR, key);
+  if (!existsSync(dir)) return null;
+  const now = new Date();
+  try { utimesSync(dir, now, now); } catch {}
+  return dir;
+}
+
+// Moves a finished build directory into the cache. If another task stored the same
+// key first, that copy wins and ours is discarded.
+export function storeCompiled(key, buildDir) {
+  const dir = join(CACHE_DIR, key);
+  try {
+    mkdirSync(CACHE_DIR, { recursive: true, mode: 0o700 });
+    renameSync(buildDir, dir);
+    return dir;
+  } catch {
+    if (!existsSync(dir)) return null;
+    try { rmSync(buildDir, { recursive: true, force: true }); } catch {}
+    return dir;
+  }
+}
+
+function dirSize(dir) {
+  let total = 0;
+  for (const entry of readdirSync(dir, { withFileTypes: true })) {
+    const p = join(dir, entry.name);
+    try { total += entry.isDirectory() ? dirSize(p) : statSync(p).size; } catch {}
+  }
+  return total;
+}
+
+export function pruneCache({ all = false, maxAgeMs = DEFAULT_MAX_AGE_MS } = {}) {
+  const result = { removed: 0, kept: 0, freedBytes: 0 };
+  let entries;
+  try { entries = readdirSync(CACHE_DIR); } catch { return result; }
+  const cutoff = Date.now() - maxAgeMs;
+  for (const name of entries) {
+    const dir = join(CACHE_DIR, name);
+    try {
+      if (!all && statSync(dir).mtimeMs >= cutoff) { result.kept++; continue; }
+      const size = dirSize(dir);
+      rmSync(dir, { recursive: true, force: true });
+      result.removed++;
+      result.freedBytes += size;
+    } catch {}
+  }
+  return result;
+}
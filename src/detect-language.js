@@ -0,0 +1,79 @@
+import { extname, basename } from 'path';
+import { loadRuntimes } from './runtime-registry.js';
+
+const EXTENSIONS = {
+  '.js': 'nodejs', '.mjs': 'nodejs', '.cjs': 'nodejs', '.jsx': 'nodejs',
+  '.ts': 'typescript', '.mts': 'typescript', '.cts': 'typescript', '.tsx': 'typescript',
+  '.py': 'python', '.go': 'go', '.rs': 'rust', '.c': 'c', '.h': 'c',
+  '.cpp': 'cpp', '.cc': 'cpp', '.cxx': 'cpp', '.hpp': 'cpp', '.java': 'java',
+  '.sh': 'bash', '.bash': 'bash', '.ps1': 'powershell',
+};
+
+const INTERPRETERS = {
+  node: 'nodejs', bun: 'nodejs', deno: 'deno', 'ts-node': 'typescript', tsx: 'typescript',
+  python: 'python', python3: 'python', bash: 'bash', sh: 'bash', zsh: 'bash', pwsh: 'powershell',
+};
+
+// First match wins, so the most distinctive markers come first. Python is tested
+// with JS-safe patterns: `import os` has no `from`/quotes, `def f():` ends in a colon.
+const HEURISTICS = [
+  ['go', /^\s*package\s+main\b/m],
+  ['rust', /\bfn\s+main\s*\(|^\s*(use\s+std::|let\s+mut\s+\w+)/m],
+  ['cpp', /^\s*#include\s*<(iostream|vector|string|map|memory|algorithm)>|\bstd::|^\s*using\s+namespace\b/m],
+  ['c', /^\s*#include\s*[<"]/m],
+  ['java', /\bpublic\s+(final\s+)?class\s+\w+|\bSystem\.out\.print/],
+  ['python', /^\s*(def\s+\w+\s*\(.*\)\s*(->\s*[^:]+)?:|class\s+\w+(\(.*\))?\s*:|import\s+[\w.]+(\s+as\s+\w+)?(\s*,\s*[\w.]+)*\s*$|from\s+[\w.]+\s+import\s|if\s+__name__\s*==|print\s*\(\s*f?["'])/m],
+  ['bash', /^\s*(echo|cd|ls|set\s+-[euxo])\s|^\s*export\s+\w+=/m],
+];
+
+// User runtimes from runtimes.json take part in detection through their extensions,
+// binary names (for shebangs) and optional `detect` pattern, ahead of the built-ins.
+function detectionTables(cwd) {
+  const extensions = { ...EXTENSIONS };
+  const interpreters = { ...INTERPRETERS };
+  const heuristics = [];
+  for (const [name, def] of Object.entries(loadRuntimes(cwd))) {
+    if (!def.source) continue;
+    for (const ext of def.extensions || []) extensions[ext.toLowerCase()] = name;
+    for (const bin of def.bin || []) interpreters[basename(bin)] = name;
+    if (def.detect) heuristics.push([name, def.detect]);
+  }
+  return { extensions, interpreters, heuristics: [...heuristics, ...HEURISTICS] };
+}
+
+function fromShebang(code, interpreters) {
+  const m = /^#!\s*(\S+)(?:\s+(\S+))?/.exec(code);
+  if (!m) return null;
+  const bin = (m[1].endsWith('/env') ? m[2] : m[1])?.split('/').pop();
+  return interpreters[bin] ?? interpreters[bin?.replace(/[\d.]+$/, '')] ?? null;
+}
+
+// A project is identified by its entry file, else by its most common source extension.
+function fromProject(files, entry, extensions) {
+  if (!files) return null;
+  if (entry && extensions[extname(entry).toLowerCase()]) return extensions[extname(entry).toLowerCase()];
+  const counts = {};
+  for (const name of Object.keys(files)) {
+    const ext = extname(name).toLowerCase();
+    if (ext === '.h' || ext === '.hpp' || !extensions[ext]) continue;
+    counts[extensions[ext]] = (counts[extensions[ext]] || 0) + 1;
+  }
+  return Object.entries(counts).sort((a, b) => b[1] - a[1])[0]?.[0] ?? null;
+}
+
+export function detectLanguage(code, { file, files, entry, cwd } = {}) {
+  const { extensions, interpreters, heuristics } = detectionTables(cwd);
+  return fromShebang(code, interpreters)
+    ?? (file ? extensions[extname(file).toLowerCase()] : null)
+    ?? fromProject(files, entry, extensions)
+    ?? heuristics.find(([, re]) => re.test(code))?.[0]
+    ?? 'nodejs';
+}
+
+// Maps the requested language to a runtime; `auto` (or nothing) is detected from
+// the file name, shebang, project files and content.
+export function resolveLanguage(language, code, context = {}) {
+  const requested = language || 'auto';
+  const detected = requested === 'auto' ? detectLanguage(code || '', context) : null;
+  return { runtime: detected ?? requested, detected: detected !== null };
+}
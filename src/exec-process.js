@@ -1,18 +1,33 @@
 import http from 'http';
+import { constants } from 'os';
 import { readFileSync, unlinkSync } from 'fs';
-import { spawnProcess, killChild } from './runtime.js';
+import { spawnProcess, spawnTask, killChild } from './runtime.js';
+import { watchLimits, killTree, limitFromExit, describeLimit } from './limits.js';
+import { describeSandbox } from './sandbox.js';
+import { createWorkspace, workspaceChanges, discardWorkspace } from './workspace.js';
+import { trackChanges, normalizeTrackChanges, countChanges } from './file-changes.js';
+import { createArtifactsDir, collectArtifacts } from './artifacts.js';
 
-const { TASK_ID, GM_EXEC_RPC_PORT, PORT, RUNTIME, CWD, CODE_FILE } = process.env;
+const { TASK_ID, GM_EXEC_RPC_SOCKET, GM_EXEC_RPC_PORT, GM_EXEC_RPC_TOKEN, PORT, RUNTIME, CWD, CODE_FILE, STDIN_FILE, GM_EXEC_OPTIONS_FILE } = process.env;
+delete process.env.GM_EXEC_RPC_TOKEN;
 const taskId = parseInt(TASK_ID, 10);
-const port = parseInt(GM_EXEC_RPC_PORT || PORT, 10);
+const endpoint = GM_EXEC_RPC_SOCKET
+  ? { socketPath: GM_EXEC_RPC_SOCKET }
+  : { hostname: '127.0.0.1', port: parseInt(GM_EXEC_RPC_PORT || PORT, 10) };
+const options = (() => { try { return JSON.parse(readFileSync(GM_EXEC_OPTIONS_FILE, 'utf8')); } catch { return {}; } })();
+try { unlinkSync(GM_EXEC_OPTIONS_FILE); } catch {}
+const limits = options.limits || null;
+let workspace = null;
+let runCwd = CWD;
+let changesSince = async () => null;
 
 function rpc(method, params) {
   return new Promise((resolve) => {
     try {
       const body = JSON.stringify({ method, params });
       const req = http.request(
-        { hostname: '127.0.0.1', port, path: '/rpc', method: 'POST',
-          headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) } },
+        { ...endpoint, path: '/rpc', method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body), 'Authorization': `Bearer ${GM_EXEC_RPC_TOKEN}` } },
         res => { res.on('data', () => {}); res.on('end', () => resolve()); }
       );
       req.on('error', () => resolve());
@@ -23,6 +38,8 @@ function rpc(method, params) {
 
 const code = readFileSync(CODE_FILE, 'utf8');
 try { unlinkSync(CODE_FILE); } catch {}
+const stdinData = STDIN_FILE ? readFileSync(STDIN_FILE) : null;
+if (STDIN_FILE) { try { unlinkSync(STDIN_FILE); } catch {} }
 
 let activeChild = null;
 
@@ -35,68 +52,128 @@ process.stdin.on('data', (data) => {
 const _logOut = process.env.GM_EXEC_LOG_OUT ? require('fs').createWriteStream(process.env.GM_EXEC_LOG_OUT, { flags: 'a' }) : null;
 const _logErr = process.env.GM_EXEC_LOG_ERR ? require('fs').createWriteStream(process.env.GM_EXEC_LOG_ERR, { flags: 'a' }) : null;
 
-async function runChild(child, cleanup) {
+async function runChild(child, cleanup, childLimits = null) {
   activeChild = child;
+  if (child.pid) rpc('setTaskPid', { taskId, pid: child.pid });
   let stdout = '', stderr = '';
-  child.stdout?.on('data', async (d) => {
-    const str = d.toString('utf8');
-    stdout += str;
-    if (_logOut) _logOut.write(str);
-    await rpc('appendOutput', { taskId, type: 'stdout', data: str });
-  });
-  child.stderr?.on('data', async (d) => {
-    const str = d.toString('utf8');
-    stderr += str;
-    if (_logErr) _logErr.write(str);
-    await rpc('appendOutput', { taskId, type: 'stderr', data: str });
-  });
+  let outputBytes = 0;
+  let limitExceeded = null;
+  const exceed = (key) => { if (!limitExceeded) limitExceeded = key; };
+  const stopWatch = watchLimits(child, childLimits, exceed);
+  const onData = (type) => async (d) => {
+    if (limitExceeded) return;
+    let str = d.toString('utf8');
+    if (childLimits?.maxOutputBytes) {
+      const room = childLimits.maxOutputBytes - outputBytes;
+      if (Buffer.byteLength(str) > room) {
+        str = Buffer.from(str).subarray(0, Math.max(0, room)).toString('utf8');
+        exceed('maxOutputBytes');
+        killTree(child.pid);
+      }
+      outputBytes += Buffer.byteLength(str);
+    }
+    if (type === 'stdout') { stdout += str; if (_logOut) _logOut.write(str); }
+    else { stderr += str; if (_logErr) _logErr.write(str); }
+    if (str) await rpc('appendOutput', { taskId, type, data: str });
+  };
+  child.stdout?.on('data', onData('stdout'));
+  child.stderr?.on('data', onData('stderr'));
   return new Promise((resolve) => {
     child.on('error', async (err) => {
+      stopWatch();
       cleanup();
-      await rpc('completeTask', { taskId, result: { success: false, exitCode: 1, stdout, stderr, error: err.message } });
+      await complete({ success: false, exitCode: 1, stdout, stderr, error: err.message });
       resolve({ ok: false, error: err.message });
     });
-    child.on('close', (code) => {
+    child.on('close', (code, signal) => {
+      stopWatch();
       cleanup();
-      resolve({ ok: code === 0, exitCode: code, stdout, stderr });
+      const limit = limitExceeded || limitFromExit(childLimits, code, signal);
+      if (limit) return resolve({ ok: false, exitCode: code ?? 1, signal, stdout, stderr, error: describeLimit(limit, childLimits), limitExceeded: limit });
+      resolve({ ok: code === 0, exitCode: code, signal, stdout, stderr });
     });
   });
 }
 
+// Stdin given up front is written once and closed, so the program sees EOF.
+function feedStdin(child) {
+  if (stdinData === null || !child.stdin) return;
+  child.stdin.on('error', () => {});
+  child.stdin.end(stdinData);
+}
+
+// With --isolated-cwd the result lists what the task changed in its copy. A copy
+// with no changes is removed straight away, so only ones worth applying are kept.
+function isolatedResult() {
+  if (!workspace) return null;
+  let changes;
+  try { changes = workspaceChanges(workspace); } catch (e) { return { id: workspace.id, path: workspace.dir, error: e.message }; }
+  const kept = countChanges(changes) > 0;
+  if (!kept) { try { discardWorkspace(workspace.id); } catch {} }
+  return { id: workspace.id, path: workspace.dir, source: CWD, kept, changes };
+}
+
+// Every result also reports the sandbox policy the task ran under, the files it
+// changed in the working directory and the ones it left in $GM_EXEC_ARTIFACTS.
+async function complete(result) {
+  const sandbox = describeSandbox(options.sandbox, runCwd);
+  const isolated = isolatedResult();
+  let changes = null;
+  try { changes = await changesSince(); } catch {}
+  const artifacts = options.artifactsDir ? collectArtifacts(options.artifactsDir) : [];
+  return rpc('completeTask', { taskId, result: {
+    ...result, ...(sandbox ? { sandbox } : {}), ...(isolated ? { isolated } : {}), ...(changes ? { changes } : {}), ...(artifacts.length ? { artifacts } : {}),
+  } });
+}
+
+// A process killed by a signal exits like it would in a shell: 128 + the signal number.
+function resultOf(result) {
+  return { success: result.ok, exitCode: result.exitCode ?? (result.signal ? 128 + (constants.signals[result.signal] || 0) : 1), signal: result.signal || null, stdout: result.stdout || '', stderr: result.stderr || '', error: result.error || null, ...(result.limitExceeded ? { limitExceeded: result.limitExceeded, limits } : {}) };
+}
+
 async function runCompiled(spawnResult) {
-  const { child, cleanup, binPath, dir, cp, className, isCompile } = spawnResult;
-  const compileResult = await runChild(child, () => {});
-  if (!compileResult.ok) {
-    cleanup();
-    await rpc('completeTask', { taskId, result: { success: false, exitCode: 1, stdout: compileResult.stdout, stderr: compileResult.stderr, error: compileResult.stderr || 'Compilation failed' } });
-    return;
-  }
-  let runChild2, runCleanup;
-  if (RUNTIME === 'java') {
-    const { spawn } = await import('child_process');
-    const JAVA = 'java';
-    runChild2 = spawn(JAVA, ['-cp', cp, className], { cwd: CWD, stdio: ['pipe','pipe','pipe'], windowsHide: true });
-    runCleanup = cleanup;
-  } else {
-    const { spawn } = await import('child_process');
-    runChild2 = spawn(binPath, [], { cwd: CWD, stdio: ['pipe','pipe','pipe'], windowsHide: true });
-    runCleanup = cleanup;
+  const { child, cleanup, runCommand, cached } = spawnResult;
+  const compileCache = cached ? 'hit' : 'miss';
+  let dir = spawnResult.dir;
+  if (!cached) {
+    const compileResult = await runChild(child, () => {});
+    if (!compileResult.ok) {
+      cleanup();
+      await complete({ success: false, exitCode: 1, stdout: compileResult.stdout, stderr: compileResult.stderr, error: compileResult.stderr || 'Compilation failed', compileCache });
+      return;
+    }
+    dir = spawnResult.promote();
   }
-  const result = await runChild(runChild2, runCleanup);
-  await rpc('completeTask', { taskId, result: { success: result.ok, exitCode: result.exitCode ?? 1, stdout: result.stdout || '', stderr: result.stderr || '', error: result.error || null } });
+  const [command, ...args] = runCommand(dir);
+  const runChild2 = spawnTask(command, args, runCwd, options, { readable: [dir] });
+  feedStdin(runChild2);
+  const result = await runChild(runChild2, cleanup, limits);
+  await complete({ ...resultOf(result), compileCache });
 }
 
 // Keep Bun's event loop alive while child runs
 const _keepalive = setInterval(() => {}, 30000);
 
 process.stderr.write('[exec-process] task=' + taskId + ' runtime=' + RUNTIME + ' starting\n');
-const spawnResult = spawnProcess(RUNTIME, code, CWD);
-if (spawnResult.isCompile) {
-  await runCompiled(spawnResult);
-} else {
-  const result = await runChild(spawnResult.child, spawnResult.cleanup);
-  process.stderr.write('[exec-process] task=' + taskId + ' child exited code=' + result.exitCode + '\n');
-  await rpc('completeTask', { taskId, result: { success: result.ok, exitCode: result.exitCode ?? 1, stdout: result.stdout || '', stderr: result.stderr || '', error: result.error || null } });
+try {
+  options.artifactsDir = createArtifactsDir(taskId);
+  if (options.isolatedCwd) {
+    workspace = createWorkspace(CWD);
+    runCwd = workspace.dir;
+  } else {
+    changesSince = await trackChanges(CWD, normalizeTrackChanges(options.trackChanges));
+  }
+  const spawnResult = spawnProcess(RUNTIME, code, runCwd, options);
+  if (spawnResult.isCompile) {
+    await runCompiled(spawnResult);
+  } else {
+    feedStdin(spawnResult.child);
+    const result = await runChild(spawnResult.child, spawnResult.cleanup, limits);
+    process.stderr.write('[exec-process] task=' + taskId + ' child exited code=' + result.exitCode + '\n');
+    await complete(resultOf(result));
+  }
+} catch (err) {
+  await complete({ success: false, exitCode: 1, stdout: '', stderr: '', error: err.message });
 }
 clearInterval(_keepalive);
 process.stderr.write('[exec-process] task=' + taskId + ' done\n');
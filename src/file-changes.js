@@ -0,0 +1,148 @@
+import { readdirSync, lstatSync, readlinkSync, readFileSync } from 'fs';
+import { readdir, lstat, readlink } from 'fs/promises';
+import { join, resolve, parse } from 'path';
+import { homedir } from 'os';
+
+export const DEFAULT_IGNORE = ['node_modules', '.git', '.hg', '.svn', '.venv', 'venv', '__pycache__', '.cache', 'target'];
+const MAX_TRACKED_FILES = 20000;
+const MAX_LISTED = 50;
+
+export const trackChangesSchema = {
+  type: ['boolean', 'object'],
+  description: `Report files created, modified or deleted under workingDirectory (default true; skips ${DEFAULT_IGNORE.join(', ')}). false to turn off, or an object with extra ignore globs.`,
+  properties: {
+    ignore: { type: 'array', items: { type: 'string' }, description: 'Extra globs to skip, e.g. "*.log" or "build/**"' }
+  }
+};
+
+export function normalizeTrackChanges(value) {
+  if (value === false || value === 'false') return false;
+  if (value === undefined || value === null || value === true || value === 'true') return { ignore: [] };
+  if (typeof value !== 'object' || Array.isArray(value)) throw new Error('trackChanges must be a boolean or an object');
+  const ignore = [].concat(value.ignore ?? []);
+  if (ignore.some(g => typeof g !== 'string' || !g)) throw new Error('trackChanges.ignore must be an array of globs');
+  return { ignore };
+}
+
+export function trackChangesFromArgs(args) {
+  if (args['no-track-changes']) return false;
+  return normalizeTrackChanges({ ignore: [].concat(args.ignore ?? []).map(String) });
+}
+
+// Globs without a slash match an entry's name at any depth, like .gitignore; the
+// rest match the path relative to the root.
+function ignoreMatcher(globs) {
+  const compiled = globs.map(g => ({ byName: !g.includes('/'), glob: new Bun.Glob(g.replace(/^\/|\/$/g, '')) }));
+  return (name, rel) => compiled.some(({ byName, glob }) => glob.match(byName ? name : rel));
+}
+
+// path -> [size, mtimeMs] for files, [-1, target] for symlinks. Directories are implied.
+// Returns null when the tree has more than `limit` files.
+export function snapshot(root, { ignore = [], limit = MAX_TRACKED_FILES } = {}) {
+  const entries = {};
+  const ignored = ignoreMatcher(ignore);
+  let count = 0;
+  const walk = (dir, prefix) => {
+    let list;
+    try { list = readdirSync(dir, { withFileTypes: true }); } catch { return true; }
+    for (const entry of list) {
+      const full = join(dir, entry.name);
+      const rel = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (ignore.length && ignored(entry.name, rel)) continue;
+      if (entry.isDirectory()) { if (!walk(full, rel)) return false; continue; }
+      if (++count > limit) return false;
+      try {
+        if (entry.isSymbolicLink()) entries[rel] = [-1, readlinkSync(full)];
+        else if (entry.isFile()) { const st = lstatSync(full); entries[rel] = [st.size, st.mtimeMs]; }
+      } catch {}
+    }
+    return true;
+  };
+  return walk(root, '') ? entries : null;
+}
+
+// The same snapshot, read without blocking the event loop so the task wrapper keeps
+// relaying output while a large tree is walked.
+export async function snapshotAsync(root, { ignore = [], limit = MAX_TRACKED_FILES } = {}) {
+  const entries = {};
+  const ignored = ignoreMatcher(ignore);
+  let count = 0;
+  const pending = [[root, '']];
+  while (pending.length) {
+    const [dir, prefix] = pending.pop();
+    let list;
+    try { list = await readdir(dir, { withFileTypes: true }); } catch { continue; }
+    for (const entry of list) {
+      const full = join(dir, entry.name);
+      const rel = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (ignore.length && ignored(entry.name, rel)) continue;
+      if (entry.isDirectory()) { pending.push([full, rel]); continue; }
+      if (++count > limit) return null;
+      try {
+        if (entry.isSymbolicLink()) entries[rel] = [-1, await readlink(full)];
+        else if (entry.isFile()) { const st = await lstat(full); entries[rel] = [st.size, st.mtimeMs]; }
+      } catch {}
+    }
+  }
+  return entries;
+}
+
+export function sameEntry(a, b) {
+  return !!a && !!b && a[0] === b[0] && a[1] === b[1];
+}
+
+function sameContent(a, b) {
+  try { return readFileSync(a).equals(readFileSync(b)); } catch { return false; }
+}
+
+// Compares two snapshots of the same tree. Given a copy in `root` and its `original`,
+// a file whose size is unchanged but whose mtime moved only counts if its content differs.
+export function diffSnapshots(before, after, { root, original } = {}) {
+  const changes = { created: [], modified: [], deleted: [] };
+  for (const [path, entry] of Object.entries(after)) {
+    const prev = before[path];
+    if (!prev) changes.created.push(path);
+    else if (sameEntry(prev, entry)) continue;
+    else if (prev[0] === entry[0] && entry[0] > 0 && root && original && sameContent(join(root, path), join(original, path))) continue;
+    else changes.modified.push(path);
+  }
+  for (const path of Object.keys(before)) if (!after[path]) changes.deleted.push(path);
+  for (const list of Object.values(changes)) list.sort();
+  return changes;
+}
+
+function untrackedRoot(root) {
+  const dir = resolve(root);
+  if (dir === parse(dir).root) return 'the filesystem root';
+  if (dir === resolve(homedir())) return 'the home directory';
+  return null;
+}
+
+// Snapshots `root` now and resolves to an async function that reports what changed
+// since. The home directory and the filesystem root are never walked.
+export async function trackChanges(root, options) {
+  if (!options) return async () => null;
+  const untracked = untrackedRoot(root);
+  if (untracked) return async () => ({ skipped: `working directory is ${untracked}` });
+  const ignore = [...DEFAULT_IGNORE, ...(options.ignore || [])];
+  const before = await snapshotAsync(root, { ignore });
+  if (!before) return async () => ({ skipped: `more than ${MAX_TRACKED_FILES} files` });
+  return async () => {
+    const after = await snapshotAsync(root, { ignore });
+    return after ? diffSnapshots(before, after) : { skipped: `more than ${MAX_TRACKED_FILES} files` };
+  };
+}
+
+export function countChanges(changes) {
+  return changes?.created ? changes.created.length + changes.modified.length + changes.deleted.length : 0;
+}
+
+export function formatChanges(changes, limit = MAX_LISTED) {
+  if (changes?.skipped) return `(not tracked: ${changes.skipped})`;
+  const lines = [];
+  for (const [mark, key] of [['A', 'created'], ['M', 'modified'], ['D', 'deleted']]) {
+    for (const path of changes[key]) lines.push(`${mark} ${path}`);
+  }
+  if (!lines.length) return '(no changes)';
+  return lines.length > limit ? [...lines.slice(0, limit), `… and ${lines.length - limit} more`].join('\n') : lines.join('\n');
+}
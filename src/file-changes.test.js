@@ -0,0 +1,52 @@
+import { test, expect, afterAll } from 'bun:test';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync, symlinkSync } from 'fs';
+import { join } from 'path';
+import { tmpdir, homedir } from 'os';
+import { snapshot, snapshotAsync, trackChanges, normalizeTrackChanges } from './file-changes.js';
+
+const base = mkdtempSync(join(tmpdir(), 'gm-exec-changes-'));
+afterAll(() => rmSync(base, { recursive: true, force: true }));
+
+function tree(name, files) {
+  const dir = join(base, name);
+  for (const [path, content] of Object.entries(files)) {
+    mkdirSync(join(dir, path, '..'), { recursive: true });
+    writeFileSync(join(dir, path), content);
+  }
+  return dir;
+}
+
+test('created, modified and deleted files are reported, ignored ones are not', async () => {
+  const dir = tree('diff', { 'a.txt': 'a', 'b/c.txt': 'c', 'node_modules/x.js': 'x' });
+  const changesSince = await trackChanges(dir, normalizeTrackChanges({ ignore: ['*.log'] }));
+  writeFileSync(join(dir, 'a.txt'), 'changed');
+  rmSync(join(dir, 'b'), { recursive: true });
+  writeFileSync(join(dir, 'new.txt'), 'n');
+  writeFileSync(join(dir, 'debug.log'), 'l');
+  writeFileSync(join(dir, 'node_modules', 'y.js'), 'y');
+  symlinkSync('a.txt', join(dir, 'link'));
+  expect(await changesSince()).toEqual({ created: ['link', 'new.txt'], modified: ['a.txt'], deleted: ['b/c.txt'] });
+});
+
+test('the async snapshot matches the sync one', async () => {
+  const dir = tree('same', { 'a': '1', 'd/e/f': '22', '.git/HEAD': 'ref' });
+  symlinkSync('d', join(dir, 'l'));
+  expect(await snapshotAsync(dir, { ignore: ['.git'] })).toEqual(snapshot(dir, { ignore: ['.git'] }));
+  expect(await snapshotAsync(dir, { limit: 2 })).toBeNull();
+});
+
+test('the home directory and the filesystem root are not walked', async () => {
+  expect(await (await trackChanges(homedir(), { ignore: [] }))()).toEqual({ skipped: 'working directory is the home directory' });
+  expect(await (await trackChanges('/', { ignore: [] }))()).toEqual({ skipped: 'working directory is the filesystem root' });
+  expect(await (await trackChanges('/', false))()).toBeNull();
+});
+
+test('a large tree is walked without blocking the event loop', async () => {
+  const files = {};
+  for (let i = 0; i < 2000; i++) files[`d${i % 20}/f${i}`] = '';
+  const dir = tree('large', files);
+  let ticks = 0;
+  const timer = setInterval(() => ticks++, 0);
+  try { await trackChanges(dir, { ignore: [] }); } finally { clearInterval(timer); }
+  expect(ticks).toBeGreaterThan(0);
+});
@@ -1,18 +1,88 @@
 #!/usr/bin/env bun
 import http from 'http';
-import { existsSync, readFileSync } from 'fs';
-import { resolve, dirname, join } from 'path';
+import { readFileSync } from 'fs';
+import { resolve, dirname } from 'path';
 import { fileURLToPath } from 'url';
-import { tmpdir } from 'os';
 import * as bm2 from './bm2.js';
+import { limitsFromArgs } from './limits.js';
+import { parseTty, decodeEscapes, typeFromArgs, KEYS } from './pty.js';
+import { envFromArgs } from './task-env.js';
+import { inputFromArgs } from './task-input.js';
+import { resolveLanguage } from './detect-language.js';
+import { pruneCache, CACHE_DIR } from './compile-cache.js';
+import { filesFromDir } from './project-files.js';
+import { sandboxFromArgs, formatSandbox } from './sandbox.js';
+import { applyWorkspace, discardWorkspace } from './workspace.js';
+import { trackChangesFromArgs, formatChanges, countChanges } from './file-changes.js';
+import { formatArtifacts } from './artifacts.js';
+import { runnerEndpoint, runnerToken, describeEndpoint } from './runner-paths.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const RUNNER_SCRIPT = resolve(__dirname, 'task-runner.js');
-const PORT_FILE = join(tmpdir(), 'glootie-runner.port');
 const BM2_NAME = 'gm-exec-runner';
-const HARD_CEILING_MS = 15000;
+// A crashed runner comes back (tasks it was running come back as interrupted); `runner stop` stays stopped.
+const RUNNER_SUPERVISION = { autorestart: 'on-failure', maxRestarts: 5 };
+const SAFETY_GRACE_MS = 5000;
+const BOOLEAN_FLAGS = new Set(['tty', 'raw', 'next-output', 'clean-env', 'all', 'sandbox', 'sandbox-net', 'isolated-cwd', 'force', 'no-track-changes', 'replace']);
+const REPEATABLE_FLAGS = new Set(['env', 'env-file', 'unset-env', 'arg', 'sandbox-write', 'ignore']);
+const SLEEP_TIMEOUT_EXIT = 124;
+
+// --json is global and may appear anywhere before a `--` passthrough or the input of `type`.
+const ARGV = process.argv.slice(2);
+const PASSTHROUGH = passthroughAt(ARGV);
+const JSON_OUTPUT = ARGV.slice(0, PASSTHROUGH).includes('--json');
+
+function passthroughAt(argv) {
+  const cmdAt = argv.findIndex(a => a !== '--json');
+  if (argv[cmdAt] === 'type') return cmdAt + 1 + typeFromArgs(argv.slice(cmdAt + 1)).taskAt;
+  return argv.indexOf('--') === -1 ? argv.length : argv.indexOf('--');
+}
+
+function emitJson(doc) {
+  process.stdout.write(JSON.stringify(doc, null, 2) + '\n');
+}
+
+const isoTime = (ms) => ms ? new Date(ms).toISOString() : null;
+
+function splitOutput(entries) {
+  let stdout = '', stderr = '';
+  for (const entry of entries || []) {
+    if (entry.s === 'stdout') stdout += entry.d;
+    else stderr += entry.d;
+  }
+  return { stdout, stderr };
+}
+
+// Exit code for the CLI itself: the task's own code once it has finished, 0 while it runs.
+function taskExitCode(status, result) {
+  if (status === 'running' || status === 'pending') return 0;
+  if (!result || status === 'interrupted') return 1;
+  return result.success === false || status === 'failed' ? (result.exitCode || 1) : 0;
+}
+
+// The --json document for a task. `output` overrides the result's stdout/stderr
+// when the output was read from the task's log instead.
+function taskDocument(id, task, output) {
+  const r = task.result || {};
+  const doc = {
+    id: `task_${id}`, status: task.status, success: task.result ? r.success !== false && task.status === 'completed' : null,
+    exitCode: task.result ? taskExitCode(task.status, r) : null, signal: r.signal || null, error: r.error || null,
+    runtime: task.runtime || r.runtime || null,
+    createdAt: isoTime(task.createdAt ?? r.createdAt), startedAt: isoTime(task.startedAt ?? r.startedAt), completedAt: isoTime(task.completedAt ?? r.completedAt),
+    durationMs: r.executionTimeMs ?? (task.completedAt && task.startedAt ? task.completedAt - task.startedAt : null),
+    stdout: output ? output.stdout : r.stdout || '', stderr: output ? output.stderr : r.stderr || '',
+  };
+  if (output?.next !== undefined) doc.next = output.next;
+  if (task.name) doc.name = task.name;
+  if (task.rerunOf) doc.rerunOf = `task_${task.rerunOf}`;
+  for (const key of ['limitExceeded', 'compileCache', 'sandbox', 'isolated', 'changes', 'artifacts']) {
+    if (r[key] !== undefined) doc[key] = r[key];
+  }
+  return doc;
+}
 
 async function printRunningTools() {
+  if (JSON_OUTPUT) return;
   try {
     const procs = bm2.list().filter(p => p.status === 'online');
     if (procs.length === 0) {
@@ -29,12 +99,12 @@ async function printRunningTools() {
 }
 
 async function healthCheck() {
-  if (!existsSync(PORT_FILE)) return false;
+  const endpoint = runnerEndpoint();
+  if (!endpoint) return false;
   try {
-    const port = parseInt(readFileSync(PORT_FILE, 'utf8').trim(), 10);
     return await new Promise(res => {
       const req = http.request(
-        { hostname: '127.0.0.1', port, path: '/health', method: 'GET' },
+        { ...endpoint, path: '/health', method: 'GET' },
         r => res(r.statusCode === 200)
       );
       req.setTimeout(2000, () => { req.destroy(); res(false); });
@@ -50,8 +120,8 @@ async function ensureRunner() {
   if (await healthCheck()) return false;
   await new Promise(r => setTimeout(r, 2000));
   if (await healthCheck()) return false;
-  process.stderr.write('Auto-starting runner...\n');
-  bm2.start(BM2_NAME, RUNNER_SCRIPT);
+  if (!JSON_OUTPUT) process.stderr.write('Auto-starting runner...\n');
+  await bm2.start(BM2_NAME, RUNNER_SCRIPT, [], RUNNER_SUPERVISION);
   for (let i = 0; i < 20; i++) {
     await new Promise(r => setTimeout(r, 500));
     if (await healthCheck()) return true;
@@ -60,17 +130,19 @@ async function ensureRunner() {
 }
 
 async function stopRunner() {
-  bm2.kill(BM2_NAME);
+  await bm2.kill(BM2_NAME);
 }
 
 function rpcCall(method, params, timeoutMs = 10000) {
   return new Promise((resolve, reject) => {
-    const port = parseInt(readFileSync(PORT_FILE, 'utf8').trim(), 10);
+    const endpoint = runnerEndpoint();
+    if (!endpoint) return reject(new Error('runner not available'));
+    const token = runnerToken();
     const body = JSON.stringify({ method, params });
     const req = http.request(
       {
-        hostname: '127.0.0.1', port, path: '/rpc', method: 'POST',
-        headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) }
+        ...endpoint, path: '/rpc', method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body), 'Authorization': `Bearer ${token}` }
       },
       res => {
         let data = '';
@@ -93,37 +165,60 @@ function rpcCall(method, params, timeoutMs = 10000) {
   });
 }
 
-async function runCode(code, runtime, workingDirectory) {
+function parseWait(value) {
+  if (value === undefined) return undefined;
+  const seconds = Number(value);
+  if (value === true || !Number.isFinite(seconds) || seconds < 0) {
+    throw new Error('--wait must be a non-negative number of seconds');
+  }
+  return Math.round(seconds * 1000);
+}
+
+async function runCode(code, runtime, workingDirectory, options = {}, waitMs, { name = null, replace = false } = {}) {
   await ensureRunner();
-  const taskId = await rpcCall('createTask', { code, runtime, workingDirectory }).then(r => r?.taskId ?? r);
+  const taskId = await rpcCall('createTask', { code, runtime, workingDirectory, options, name, replace }).then(r => r?.taskId ?? r);
+  return await runTask({ taskId, code, runtime, workingDirectory, options, name }, waitMs);
+}
+
+function namingFromArgs(cmdArgs) {
+  if (cmdArgs.name === true) throw new Error('--name needs a value');
+  return { name: cmdArgs.name === undefined ? undefined : String(cmdArgs.name), replace: !!cmdArgs.replace };
+}
+
+// Runs a task already created in the runner, in the foreground for up to waitMs.
+async function runTask({ taskId, code, runtime, workingDirectory, options, rerunOf = null, name = null }, waitMs) {
+  if (waitMs === undefined) waitMs = await rpcCall('config', {}).then(r => r?.defaultWaitMs).catch(() => undefined) ?? 15000;
 
+  let safetyTimer;
   const safetyTimeout = new Promise(r => {
-    setTimeout(async () => {
+    safetyTimer = setTimeout(async () => {
       await rpcCall('startTask', { taskId }).catch(() => {});
       r({ persisted: true, backgroundTaskId: taskId });
-    }, HARD_CEILING_MS);
+    }, waitMs + SAFETY_GRACE_MS);
   });
 
   const result = await Promise.race([
-    rpcCall('execute', { code, runtime, workingDirectory, timeout: HARD_CEILING_MS, backgroundTaskId: taskId }, HARD_CEILING_MS + 5000).then(r => r?.result ?? r),
+    rpcCall('execute', { code, runtime, workingDirectory, timeout: waitMs, backgroundTaskId: taskId, options }, waitMs + SAFETY_GRACE_MS * 2).then(r => r?.result ?? r),
     safetyTimeout,
   ]);
+  clearTimeout(safetyTimer);
 
   if (result.persisted || (result.backgroundTaskId && !result.completed)) {
     const id = `task_${result.backgroundTaskId ?? taskId}`;
-    const partial = await rpcCall('getAndClearOutput', { taskId: result.backgroundTaskId ?? taskId }).then(r => r?.output ?? r).catch(() => []);
-    if (Array.isArray(partial) && partial.length) {
-      for (const entry of partial) {
-        if (entry.s === 'stdout') process.stdout.write(entry.d);
-        else process.stderr.write(entry.d);
-      }
+    const ref = name || id;
+    const partial = await readOutput(result.backgroundTaskId ?? taskId, 0, DEFAULT_TAIL).catch(() => ({ entries: [], next: 0 }));
+    if (JSON_OUTPUT) {
+      const task = await rpcCall('getTask', { taskId: result.backgroundTaskId ?? taskId }).then(r => r?.task).catch(() => null);
+      emitJson({ ...taskDocument(result.backgroundTaskId ?? taskId, task || { status: 'running', runtime, rerunOf, name }, { ...splitOutput(partial.entries), next: partial.next }), backgrounded: true });
+      return 0;
     }
-    console.log(`\nStill running after 15s — backgrounded.`);
-    console.log(`Task ID: ${id}\n`);
-    console.log(`  gm-exec sleep ${id}       # wait for completion (up to 30s) — recommended`);
-    console.log(`  gm-exec status ${id}      # drain output buffer (snapshot)`);
-    console.log(`  gm-exec type ${id} <input>  # send stdin to running task`);
-    console.log(`  gm-exec close ${id}       # delete task when done`);
+    printEntries(partial.entries);
+    console.log(waitMs === 0 ? `\nStarted in background.` : `\nStill running after ${waitMs / 1000}s — backgrounded.`);
+    console.log(`Task ID: ${id}${name ? ` (${name})` : ''}\n`);
+    console.log(`  gm-exec sleep ${ref} --since ${partial.next}  # wait for completion (up to 30s) — recommended`);
+    console.log(`  gm-exec status ${ref}      # status + output so far (snapshot)`);
+    console.log(`  gm-exec type ${ref} <input>  # send stdin to running task`);
+    console.log(`  gm-exec close ${ref}       # delete task when done`);
     console.log(`  gm-exec runner stop       # stop runner when all tasks done`);
     console.log(`\nRunner kept alive: ${BM2_NAME} (bm2)`);
     return 0;
@@ -135,23 +230,62 @@ async function runCode(code, runtime, workingDirectory) {
     await rpcCall('deleteTask', { taskId }).catch(() => {});
   }
 
+  if (JSON_OUTPUT) {
+    const status = result.status || 'completed';
+    emitJson(taskDocument(result.backgroundTaskId ?? taskId, { status, runtime, rerunOf, name, result }));
+    return taskExitCode(status, result);
+  }
+
   if (result.stdout) process.stdout.write(result.stdout);
   if (result.stderr) process.stderr.write(result.stderr);
-  if (result.error) { process.stderr.write(`Error: ${result.error}\n`); return 1; }
+  if (result.sandbox) process.stderr.write(`[gm-exec] ${formatSandbox(result.sandbox)}\n`);
+  if (result.isolated) printIsolated(result.isolated);
+  if (result.changes) printChanges(result.changes, workingDirectory);
+  if (result.artifacts?.length) process.stderr.write(`[gm-exec] artifacts:\n${formatArtifacts(result.artifacts)}\n`);
+  if (result.error) process.stderr.write(`Error: ${result.error}\n`);
+  return taskExitCode(result.status || 'completed', result);
+}
+
+function printIsolated(isolated) {
+  if (isolated.error) { process.stderr.write(`[gm-exec] could not diff workspace ${isolated.id}: ${isolated.error}\n`); return; }
+  if (!isolated.kept) { process.stderr.write(`[gm-exec] isolated cwd: no changes\n`); return; }
+  const n = countChanges(isolated.changes);
+  process.stderr.write(`[gm-exec] isolated cwd: ${n} change${n === 1 ? '' : 's'} in ${isolated.path}\n${formatChanges(isolated.changes)}\n`);
+  process.stderr.write(`  gm-exec apply ${isolated.id}     # copy the changes to ${isolated.source}\n`);
+  process.stderr.write(`  gm-exec discard ${isolated.id}   # throw them away\n`);
+}
+
+function printChanges(changes, cwd) {
+  if (changes.skipped) {
+    const hint = changes.skipped.startsWith('more than') ? ' (narrow with --ignore)' : '';
+    process.stderr.write(`[gm-exec] file changes in ${cwd} not tracked: ${changes.skipped}${hint}\n`);
+    return;
+  }
+  const n = countChanges(changes);
+  if (n) process.stderr.write(`[gm-exec] ${n} file${n === 1 ? '' : 's'} changed in ${cwd}:\n${formatChanges(changes)}\n`);
+}
 
-  const exitCode = result.exitCode ?? result.code ?? 0;
-  return result.success === false ? (exitCode || 1) : 0;
+function cmdApply(id, cmdArgs) {
+  const { source, changes } = applyWorkspace(id, { force: !!cmdArgs.force });
+  const n = countChanges(changes);
+  console.log(`Applied ${n} change${n === 1 ? '' : 's'} to ${source}`);
+  if (n) console.log(formatChanges(changes));
+}
+
+function cmdDiscard(id) {
+  discardWorkspace(id);
+  console.log(`Workspace ${id} discarded`);
 }
 
 async function cmdRunnerStart() {
   if (await healthCheck()) {
-    console.log(`Runner already healthy on port ${readFileSync(PORT_FILE, 'utf8').trim()}`);
+    console.log(`Runner already healthy on ${describeEndpoint()}`);
     return;
   }
-  bm2.start(BM2_NAME, RUNNER_SCRIPT);
+  await bm2.start(BM2_NAME, RUNNER_SCRIPT, [], RUNNER_SUPERVISION);
   for (let i = 0; i < 20; i++) {
     await new Promise(r => setTimeout(r, 500));
-    if (await healthCheck()) { console.log(`Runner started on port ${readFileSync(PORT_FILE, 'utf8').trim()}`); return; }
+    if (await healthCheck()) { console.log(`Runner started on ${describeEndpoint()}`); return; }
   }
   throw new Error('Runner did not become healthy');
 }
@@ -163,11 +297,25 @@ async function cmdRunnerStop() {
 
 async function cmdRunnerStatus() {
   const desc = bm2.describe(BM2_NAME);
+  if (JSON_OUTPUT) {
+    const endpoint = desc ? runnerEndpoint() : null;
+    emitJson({
+      name: BM2_NAME, status: desc?.status ?? 'not found', pid: desc?.pid ?? null, socket: endpoint?.socketPath ?? null, port: endpoint?.port ?? null,
+      autorestart: desc?.autorestart ?? null, restarts: desc?.restarts ?? 0, lastError: desc?.lastError ?? null, healthy: desc ? await healthCheck() : false,
+    });
+    return;
+  }
   if (!desc) { console.log(`${BM2_NAME}: not found`); return; }
   console.log(`name:     ${desc.name}`);
   console.log(`status:   ${desc.status}`);
-  console.log(`pid:      ${desc.pid}`);
-  if (existsSync(PORT_FILE)) console.log(`port:     ${readFileSync(PORT_FILE, 'utf8').trim()}`);
+  console.log(`pid:      ${desc.pid ?? '-'}`);
+  if (desc.autorestart) {
+    console.log(`restart:  ${desc.autorestart}, ${desc.restarts} restart${desc.restarts === 1 ? '' : 's'}`);
+    if (desc.lastError) console.log(`last error: ${desc.lastError}`);
+  }
+  const endpoint = runnerEndpoint();
+  if (endpoint?.socketPath) console.log(`socket:   ${endpoint.socketPath}`);
+  else if (endpoint) console.log(`port:     ${endpoint.port}`);
   if (desc.status === 'online') {
     console.log(`\nRunner is active. If you have background tasks:`);
     console.log(`  gm-exec sleep <task_id>      # wait for task completion (up to 30s)`);
@@ -177,62 +325,137 @@ async function cmdRunnerStatus() {
   }
 }
 
+function taskOptions(cmdArgs) {
+  return {
+    limits: limitsFromArgs(cmdArgs), tty: parseTty(cmdArgs.tty), env: envFromArgs(cmdArgs), cleanEnv: !!cmdArgs['clean-env'],
+    sandbox: sandboxFromArgs(cmdArgs, resolve(cmdArgs.cwd || process.cwd())), isolatedCwd: !!cmdArgs['isolated-cwd'],
+    trackChanges: trackChangesFromArgs(cmdArgs),
+    ...inputFromArgs(cmdArgs, cmdArgs['--'])
+  };
+}
+
 async function cmdExec(cmdArgs, positional) {
   let code = positional.join(' ');
   if (cmdArgs.file) code = readFileSync(resolve(cmdArgs.file), 'utf8');
-  if (!code.trim()) { process.stderr.write('No code provided\n'); usage(); return 1; }
+  const files = cmdArgs.dir ? filesFromDir(resolve(cmdArgs.dir)) : null;
+  if (!code.trim() && !files) throw new Error('No code provided');
   const cwd = resolve(cmdArgs.cwd || process.cwd());
-  let runtime = cmdArgs.lang || 'nodejs';
-  if (runtime === 'typescript' || runtime === 'auto') runtime = 'nodejs';
-  return await runCode(code, runtime, cwd);
+  const entry = cmdArgs.entry ? String(cmdArgs.entry) : null;
+  const { runtime, detected } = resolveLanguage(cmdArgs.lang, code, { file: cmdArgs.file, files, entry, cwd });
+  if (detected && runtime !== 'nodejs' && !JSON_OUTPUT) process.stderr.write(`[gm-exec] detected language: ${runtime}\n`);
+  return await runCode(code, runtime, cwd, { ...taskOptions(cmdArgs), files, entry }, parseWait(cmdArgs.wait), namingFromArgs(cmdArgs));
 }
 
 async function cmdBash(cmdArgs, positional) {
   const commands = positional.join(' ');
-  if (!commands.trim()) { process.stderr.write('No commands provided\n'); usage(); return 1; }
+  if (!commands.trim()) throw new Error('No commands provided');
   const runtime = process.platform === 'win32' ? 'powershell' : 'bash';
-  return await runCode(commands, runtime, resolve(cmdArgs.cwd || process.cwd()));
+  return await runCode(commands, runtime, resolve(cmdArgs.cwd || process.cwd()), taskOptions(cmdArgs), parseWait(cmdArgs.wait), namingFromArgs(cmdArgs));
+}
+
+// Starts a new task from an earlier one's code, runtime, cwd and options, with --cwd,
+// --env/--env-file/--unset-env and --arg/-- replacing what they name.
+async function cmdRerun(taskId, cmdArgs) {
+  await ensureRunner();
+  const rawId = await resolveTaskId(taskId, { includeDeleted: true });
+  const { args } = inputFromArgs(cmdArgs, cmdArgs['--']);
+  const task = await rpcCall('rerunTask', {
+    taskId: rawId, workingDirectory: cmdArgs.cwd ? resolve(String(cmdArgs.cwd)) : undefined, env: envFromArgs(cmdArgs), args,
+    ...namingFromArgs(cmdArgs),
+  });
+  if (!JSON_OUTPUT) process.stderr.write(`[gm-exec] re-running task_${rawId} as task_${task.taskId}${task.name ? ` (${task.name})` : ''}\n`);
+  return await runTask(task, parseWait(cmdArgs.wait));
+}
+
+function printEntries(entries) {
+  for (const entry of entries || []) {
+    if (entry.s === 'stdout') process.stdout.write(entry.d);
+    else process.stderr.write(entry.d);
+  }
+}
+
+// Snapshots without a --since cursor show only this many of the latest entries.
+const DEFAULT_TAIL = 200;
+
+function readOutput(rawId, since = 0, tail) {
+  return rpcCall('readOutput', { taskId: rawId, since, tail });
+}
+
+function noteOmitted(taskId, entries) {
+  if (entries?.length && entries[0].n > 0) {
+    process.stderr.write(`(earlier output omitted — gm-exec logs ${taskId} --since 0)\n`);
+  }
 }
 
-async function cmdStatus(taskId) {
+// A task is referred to as `task_N`, `N` or by the name it was started with.
+async function resolveTaskId(ref, { includeDeleted = false } = {}) {
+  const m = /^(?:task_)?(\d+)$/.exec(ref);
+  if (m) return parseInt(m[1], 10);
+  return (await rpcCall('findTask', { name: ref, includeDeleted })).taskId;
+}
+
+function parseCursor(value, flag) {
+  if (value === undefined) return undefined;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) throw new Error(`${flag} must be a non-negative integer`);
+  return n;
+}
+
+async function cmdStatus(taskId, cmdArgs = {}) {
   await ensureRunner();
-  const rawId = parseInt(taskId.replace(/^task_/, ''), 10);
+  const rawId = await resolveTaskId(taskId);
   const task = await rpcCall('getTask', { taskId: rawId }).then(r => r?.task || null);
   if (!task) {
     throw Object.assign(new Error('Task not found'), { exitCode: 1, silent: true });
   }
+  const since = parseCursor(cmdArgs.since, '--since');
+  const output = await readOutput(rawId, since ?? 0, parseCursor(cmdArgs.tail, '--tail') ?? (since === undefined ? DEFAULT_TAIL : undefined));
+  if (JSON_OUTPUT) {
+    emitJson(taskDocument(rawId, task, output.next ? { ...splitOutput(output.entries), next: output.next } : { stdout: task.result?.stdout || '', stderr: task.result?.stderr || '', next: 0 }));
+    return taskExitCode(task.status, task.result);
+  }
   console.log(`Status: ${task.status}`);
+  if (since === undefined) noteOmitted(taskId, output.entries);
+  printEntries(output.entries);
   if (task.result) {
     const r = task.result;
-    if (r.stdout) process.stdout.write(r.stdout);
-    if (r.stderr) process.stderr.write(r.stderr);
-    if (r.error) process.stderr.write(`Error: ${r.error}\n`);
-  }
-  const output = await rpcCall('getAndClearOutput', { taskId: rawId }).then(r => r?.output ?? r);
-  if (Array.isArray(output) && output.length) {
-    for (const entry of output) {
-      if (entry.s === 'stdout') process.stdout.write(entry.d);
-      else process.stderr.write(entry.d);
+    if (!output.next) {
+      if (r.stdout) process.stdout.write(r.stdout);
+      if (r.stderr) process.stderr.write(r.stderr);
     }
+    if (r.error) process.stderr.write(`Error: ${r.error}\n`);
   }
   if (task.status === 'running') {
     console.log(`\nTask still running. Options:`);
-    console.log(`  gm-exec sleep ${taskId}      # wait for completion (up to 30s) — recommended`);
+    console.log(`  gm-exec sleep ${taskId} --since ${output.next}  # wait for completion (up to 30s) — recommended`);
+    console.log(`  gm-exec logs ${taskId} --since ${output.next}   # output produced after this snapshot`);
     console.log(`  gm-exec type ${taskId} <input>  # send stdin to running task`);
     console.log(`  gm-exec status ${taskId}     # check status again (snapshot)`);
-  } else if (task.status === 'completed' || task.status === 'failed') {
-    console.log(`\nTask finished. Clean up:`);
-    console.log(`  gm-exec close ${taskId}      # delete task`);
-    console.log(`  gm-exec runner stop          # stop runner if no more tasks`);
+  } else if (task.status === 'completed' || task.status === 'failed' || task.status === 'interrupted') {
+    printFinished(taskId, task, `Task finished.`);
   }
+  return taskExitCode(task.status, task.result);
+}
+
+// Closing a task also removes an --isolated-cwd copy it kept, so apply comes first.
+function printFinished(taskId, task, heading) {
+  const isolated = task.result?.isolated;
+  if (isolated) printIsolated(isolated);
+  console.log(`\n${heading} Clean up:`);
+  console.log(`  gm-exec close ${taskId}      # delete task${isolated?.kept ? ' and its unapplied copy' : ''}`);
+  console.log(`  gm-exec runner stop          # stop runner if no more tasks`);
 }
 
 async function cmdClose(taskId) {
   await ensureRunner();
-  const rawId = parseInt(taskId.replace(/^task_/, ''), 10);
+  const rawId = await resolveTaskId(taskId);
   await rpcCall('deleteTask', { taskId: rawId });
   const res = await rpcCall('listTasks', {}).catch(() => ({ tasks: [] }));
   const remaining = (res?.tasks ?? []).filter(t => t.status === 'running' || t.status === 'pending');
+  if (JSON_OUTPUT) {
+    emitJson({ id: `task_${rawId}`, closed: true, running: remaining.map(t => `task_${t.id}`) });
+    return;
+  }
   console.log(`Task ${taskId} closed`);
   if (remaining.length > 0) {
     console.log(`\n${remaining.length} task(s) still running:`);
@@ -244,38 +467,53 @@ async function cmdClose(taskId) {
   }
 }
 
-async function cmdSleep(taskId, timeoutSeconds, nextOutputMode) {
+async function cmdSignal(taskId, signal) {
+  await ensureRunner();
+  const rawId = await resolveTaskId(taskId);
+  const res = await rpcCall('signalTask', { taskId: rawId, signal });
+  if (JSON_OUTPUT) emitJson({ id: `task_${rawId}`, signal: res.signal, processes: res.processes });
+  else console.log(`Sent ${res.signal} to task_${rawId} (${res.processes} process${res.processes === 1 ? '' : 'es'})`);
+}
+
+async function cmdSleep(taskId, timeoutSeconds, nextOutputMode, since) {
   await ensureRunner();
-  const rawId = parseInt(taskId.replace(/^task_/, ''), 10);
+  const rawId = await resolveTaskId(taskId);
   const timeout = (parseInt(timeoutSeconds, 10) || 30) * 1000;
   const startTime = Date.now();
+  let cursor = since;
+  const collected = [];
+  let task = null;
 
+  // Without a cursor the first read is a tail; after that it continues from where it left off.
   async function drainOutput() {
-    const output = await rpcCall('getAndClearOutput', { taskId: rawId }).then(r => r?.output ?? r).catch(() => []);
-    if (Array.isArray(output)) {
-      for (const entry of output) {
-        if (entry.s === 'stdout') process.stdout.write(entry.d);
-        else process.stderr.write(entry.d);
+    let output;
+    do {
+      output = await readOutput(rawId, cursor ?? 0, cursor === undefined ? DEFAULT_TAIL : undefined).catch(() => null);
+      if (!output) return;
+      if (JSON_OUTPUT) collected.push(...output.entries);
+      else {
+        if (cursor === undefined) noteOmitted(taskId, output.entries);
+        printEntries(output.entries);
       }
-    }
+      cursor = output.next;
+    } while (output.more);
   }
 
   while (Date.now() - startTime < timeout) {
-    const task = await rpcCall('getTask', { taskId: rawId }).then(r => r?.task || null).catch(() => null);
-    if (!task) {
-      console.log('Task not found or already completed.');
-      return;
-    }
+    task = await rpcCall('getTask', { taskId: rawId }).then(r => r?.task || null).catch(() => null);
+    if (!task) throw new Error('Task not found or already closed');
     await drainOutput();
     if (task.status !== 'running' && task.status !== 'pending') {
+      if (JSON_OUTPUT) {
+        emitJson({ ...taskDocument(rawId, task, { ...splitOutput(collected), next: cursor }), timedOut: false });
+        return taskExitCode(task.status, task.result);
+      }
       if (task.result) {
         const r = task.result;
         if (r.error) process.stderr.write(`Error: ${r.error}\n`);
       }
-      console.log(`\nTask finished (${task.status}). Clean up:`);
-      console.log(`  gm-exec close ${taskId}      # delete task`);
-      console.log(`  gm-exec runner stop          # stop runner if no more tasks`);
-      return;
+      printFinished(taskId, task, `Task finished (${task.status}).`);
+      return taskExitCode(task.status, task.result);
     }
     if (nextOutputMode) {
       const remaining = Math.min(30000, timeout - (Date.now() - startTime));
@@ -285,15 +523,43 @@ async function cmdSleep(taskId, timeoutSeconds, nextOutputMode) {
     }
   }
   await drainOutput();
+  if (JSON_OUTPUT) {
+    emitJson({ ...taskDocument(rawId, task || { status: 'running' }, { ...splitOutput(collected), next: cursor }), timedOut: true });
+    return SLEEP_TIMEOUT_EXIT;
+  }
   console.log(`\nTimeout after ${timeout / 1000}s. Task still running.`);
-  console.log(`  gm-exec sleep ${taskId}       # wait again (up to 30s) — recommended`);
+  console.log(`  gm-exec sleep ${taskId} --since ${cursor}  # wait again (up to 30s) — recommended`);
   console.log(`  gm-exec status ${taskId}      # check current status (snapshot)`);
+  return SLEEP_TIMEOUT_EXIT;
 }
 
-async function cmdType(taskId, inputData) {
+async function cmdLogs(taskId, cmdArgs) {
   await ensureRunner();
-  const rawId = parseInt(taskId.replace(/^task_/, ''), 10);
-  const data = inputData + '\n';
+  const rawId = await resolveTaskId(taskId);
+  const tail = parseCursor(cmdArgs.tail, '--tail');
+  let output = await readOutput(rawId, parseCursor(cmdArgs.since, '--since') ?? 0, tail);
+  if (output.truncated) process.stderr.write(`(output before entry ${output.entries[0].n} is no longer available)\n`);
+  printEntries(output.entries);
+  while (output.more) {
+    output = await readOutput(rawId, output.next);
+    printEntries(output.entries);
+  }
+  process.stderr.write(`\n(next cursor: ${output.next} — gm-exec logs ${taskId} --since ${output.next})\n`);
+}
+
+async function cmdType(taskId, inputData, { key, raw } = {}) {
+  let data;
+  if (key) {
+    data = KEYS[String(key).toLowerCase()];
+    if (!data) { process.stderr.write(`Unknown key: ${key} (known: ${Object.keys(KEYS).join(', ')})\n`); return 1; }
+    data = inputData + data;
+  } else if (raw) {
+    data = decodeEscapes(inputData);
+  } else {
+    data = inputData + '\n';
+  }
+  await ensureRunner();
+  const rawId = await resolveTaskId(taskId);
   const result = await rpcCall('sendStdin', { taskId: rawId, data }).then(r => r?.ok ?? r).catch(() => false);
   if (result) {
     console.log(`Sent to task ${taskId}`);
@@ -303,32 +569,140 @@ async function cmdType(taskId, inputData) {
   }
 }
 
+function streamTask(rawId, since, onEvent) {
+  const from = since === undefined ? `tail=${DEFAULT_TAIL}` : `since=${since}`;
+  return new Promise((resolve, reject) => {
+    const endpoint = runnerEndpoint();
+    if (!endpoint) return reject(new Error('runner not available'));
+    const req = http.request(
+      { ...endpoint, path: `/tasks/${rawId}/stream?${from}`, method: 'GET', headers: { 'Authorization': `Bearer ${runnerToken()}` } },
+      res => {
+        if (res.statusCode !== 200) {
+          let data = '';
+          res.on('data', c => { data += c; });
+          res.on('end', () => reject(Object.assign(new Error(res.statusCode === 404 ? 'Task not found' : `HTTP ${res.statusCode}: ${data}`), { exitCode: 1 })));
+          return;
+        }
+        let buf = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => {
+          buf += chunk;
+          let idx;
+          while ((idx = buf.indexOf('\n\n')) !== -1) {
+            const block = buf.slice(0, idx);
+            buf = buf.slice(idx + 2);
+            const event = /^event: (.*)$/m.exec(block)?.[1];
+            const data = /^data: (.*)$/m.exec(block)?.[1];
+            if (event && data) onEvent(event, JSON.parse(data));
+          }
+        });
+        res.on('end', resolve);
+        res.on('error', reject);
+      }
+    );
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+async function cmdFollow(taskId, cmdArgs = {}) {
+  await ensureRunner();
+  const rawId = await resolveTaskId(taskId);
+  const since = parseCursor(cmdArgs.since, '--since');
+  let done = null;
+  let first = true;
+  await streamTask(rawId, since, (event, data) => {
+    if (event === 'output') {
+      if (first && since === undefined) noteOmitted(taskId, [data]);
+      first = false;
+      printEntries([data]);
+    } else if (event === 'done') {
+      done = data;
+    }
+  });
+  if (!done) { process.stderr.write('Stream closed before the task finished\n'); return 1; }
+  if (done.result?.error) process.stderr.write(`Error: ${done.result.error}\n`);
+  console.log(`\nTask ${done.status}${done.result?.exitCode != null ? ` (exit ${done.result.exitCode})` : ''}.`);
+  if (done.status === 'completed' && done.result?.success !== false) return 0;
+  return done.result?.exitCode || 1;
+}
+
+function formatDuration(ms) {
+  if (ms == null) return '-';
+  if (ms < 1000) return `${ms}ms`;
+  if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+  if (ms < 3600000) return `${Math.floor(ms / 60000)}m${Math.floor(ms / 1000) % 60}s`;
+  return `${Math.floor(ms / 3600000)}h${Math.floor(ms / 60000) % 60}m`;
+}
+
+async function cmdPs(cmdArgs) {
+  await ensureRunner();
+  const { tasks = [] } = await rpcCall('listTasks', {
+    status: cmdArgs.status ? String(cmdArgs.status) : undefined,
+    runtime: cmdArgs.runtime ? String(cmdArgs.runtime) : undefined,
+  });
+  const now = Date.now();
+  const durationOf = (t) => t.startedAt ? (t.completedAt || now) - t.startedAt : null;
+  if (JSON_OUTPUT) {
+    emitJson({ tasks: tasks.map(t => ({
+      ...t, id: `task_${t.id}`, createdAt: isoTime(t.createdAt), startedAt: isoTime(t.startedAt), completedAt: isoTime(t.completedAt), durationMs: durationOf(t),
+    })) });
+    return;
+  }
+  if (!tasks.length) { console.log('No tasks.'); return; }
+  const rows = tasks.map(t => [
+    `task_${t.id}`, t.name || '-', t.status, t.runtime || '-', t.pid ?? '-',
+    t.startedAt ? new Date(t.startedAt).toLocaleTimeString() : '-', formatDuration(durationOf(t)),
+    t.exitCode ?? '-', t.workingDirectory || '-', t.preview,
+  ].map(String));
+  const header = ['ID', 'NAME', 'STATUS', 'RUNTIME', 'PID', 'STARTED', 'DURATION', 'EXIT', 'CWD', 'CODE'];
+  const widths = header.map((h, i) => i === header.length - 1 ? 0 : Math.max(h.length, ...rows.map(r => r[i].length)));
+  for (const row of [header, ...rows]) console.log(row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd());
+}
+
 async function cmdPm2list() {
   await ensureRunner();
   const res = await rpcCall('pm2list', {});
   const procs = res?.processes ?? [];
-  const bm2Procs = bm2.list().filter(p => p.status === 'online');
-  const all = [...bm2Procs.map(p => ({ name: p.name, status: p.status, pid: p.pid })), ...procs];
+  const bm2Procs = bm2.list().filter(p => p.status !== 'stopped');
+  const all = [...bm2Procs.map(p => ({ name: p.name, status: p.status, pid: p.pid, restarts: p.restarts ?? 0, lastError: p.lastError ?? null })), ...procs];
+  if (JSON_OUTPUT) { emitJson({ processes: all }); return; }
   if (all.length === 0) { console.log('No processes found.'); return; }
   for (const p of all) {
-    console.log(`${p.name}  status=${p.status}  pid=${p.pid ?? 'n/a'}`);
+    console.log(`${p.name}  status=${p.status}  pid=${p.pid ?? 'n/a'}${p.restarts ? `  restarts=${p.restarts}` : ''}${p.lastError ? `  last error: ${p.lastError}` : ''}`);
+  }
+}
+
+function cmdCachePrune(cmdArgs) {
+  let maxAgeMs;
+  if (cmdArgs['older-than'] !== undefined) {
+    const days = Number(cmdArgs['older-than']);
+    if (!Number.isFinite(days) || days < 0) throw new Error('--older-than must be a non-negative number of days');
+    maxAgeMs = days * 24 * 60 * 60 * 1000;
   }
+  const { removed, kept, freedBytes } = pruneCache({ all: !!cmdArgs.all, maxAgeMs });
+  console.log(`Removed ${removed} cached build${removed === 1 ? '' : 's'} (${(freedBytes / 1024 / 1024).toFixed(1)} MB), kept ${kept} in ${CACHE_DIR}`);
 }
 
 function parseArgs(argv) {
   const parsed = {};
   const positional = [];
+  const set = (key, value) => {
+    if (REPEATABLE_FLAGS.has(key)) (parsed[key] ||= []).push(value);
+    else parsed[key] = value;
+  };
   for (let i = 0; i < argv.length; i++) {
     const a = argv[i];
+    if (a === '--') { parsed['--'] = argv.slice(i + 1); break; }
     if (a.startsWith('--')) {
       const eq = a.indexOf('=');
       if (eq !== -1) {
-        parsed[a.slice(2, eq)] = a.slice(eq + 1);
+        set(a.slice(2, eq), a.slice(eq + 1));
       } else {
         const key = a.slice(2);
         const next = argv[i + 1];
-        if (next && !next.startsWith('--')) { parsed[key] = next; i++; }
-        else parsed[key] = true;
+        if (!BOOLEAN_FLAGS.has(key) && next && !next.startsWith('--')) { set(key, next); i++; }
+        else set(key, true);
       }
     } else {
       positional.push(a);
@@ -344,26 +718,89 @@ Usage:
   gm-exec <command> [options]
 
 Commands:
-  exec [--lang=<lang>] [--cwd=<dir>] [--file=<path>] <code>
+  exec [--lang=<lang|auto>] [--cwd=<dir>] [--file=<path>] [--wait=<s>] <code>
                           Execute code (waits up to 15s, then backgrounds)
-  bash [--cwd=<dir>] <cmd...>
+  bash [--cwd=<dir>] [--wait=<s>] <cmd...>
                           Execute bash commands
-  status <task_id>        Poll status + drain output of a background task
-  sleep <task_id> [seconds]
-                          Wait for task completion (default 30s timeout)
-  type <task_id> <input>  Send input to stdin of a running background task
-  close <task_id>         Delete a background task
+  --wait=<seconds>        Foreground wait before backgrounding (0 = background
+                          immediately; default from GM_EXEC_DEFAULT_WAIT_MS)
+  --name=<name>           Name the task; every <task_id> below also takes the name
+  --replace               Stop a running task with the same name instead of refusing
+  --tty[=<cols>x<rows>]   Run under a pseudo-terminal (default 80x24)
+  --env KEY=VAL           Set an environment variable (repeatable)
+  --env-file=<path>       Load variables from a .env file (repeatable)
+  --unset-env=<KEY>       Remove an inherited variable (repeatable)
+  --clean-env             Start from PATH, HOME, LANG, TERM… only, not the runner's env
+  --arg=<value>, -- a b   Command-line arguments for the program (repeatable)
+  --stdin=<text>          Write text to the program's stdin, then EOF
+  --stdin-file=<path|->   Same, from a file or this command's own piped stdin
+  --sandbox               No network, read-only host fs, writable cwd, private /tmp
+  --sandbox-net           Sandbox but keep network access
+  --sandbox-write=<path>  Extra writable path inside the sandbox (repeatable)
+  --isolated-cwd          Run in a throwaway copy of the cwd and report changed files
+  --ignore=<glob>         Skip matching paths when reporting changed files (repeatable)
+  --no-track-changes      Do not report files the task created, modified or deleted
+  --dir=<path>            Build and run a multi-file project (go, rust, c, cpp, java)
+  --entry=<file|class>    Project entrypoint: crate root, Go package or Java main class
+  Limits (exec, bash):    --max-memory=<MB> --max-cpu=<s> --max-procs=<n>
+                          --max-file-size=<MB> --max-output=<bytes>
+  status <task_id> [--since=<n>] [--tail=<n>]
+                          Show status and output of a background task
+                          (the last 200 output entries unless --since is given)
+  logs <task_id> [--since=<n>] [--tail=<n>]
+                          Print output entries from cursor <n> (non-destructive)
+  sleep <task_id> [seconds] [--since=<n>]
+                          Wait for task completion (default 30s timeout),
+                          printing output from <n> or the last 200 entries
+  follow <task_id> [--since=<n>]
+                          Stream a task's output live until it finishes,
+                          starting at <n> or the last 200 entries
+  type [--raw] [--key=<key>] <task_id> <input>
+                          Send input to stdin of a running background task; everything
+                          after the task id is sent verbatim, so options go before it
+       --raw              Send input as-is, decoding \\x03, \\e, \\r, \\n escapes
+       --key=<key>        Send a key after the input: ctrl-c, ctrl-d, ctrl-z, esc,
+                          enter, tab, backspace, up, down, left, right
+  rerun <task_id> [--cwd=<dir>] [--wait=<s>] [--env K=V] [--arg=<v> | -- a b]
+                          Run a task again (foreground ones too) with the same code, language,
+                          options and name; the given cwd, env vars and arguments replace the
+                          old ones (--replace restarts a named task that is still running)
+  close <task_id>         Delete a task, killing its whole process tree (TERM, then KILL)
+  signal <task_id> <sig>  Send INT, TERM, HUP, QUIT, KILL, USR1, USR2, STOP, CONT or WINCH
+                          to a running task's process group, without deleting it
+  apply <workspace_id> [--force]
+                          Copy an --isolated-cwd run's changes back to its cwd
+  discard <workspace_id>  Delete an --isolated-cwd copy without applying it
+  ps [--status=<s>] [--runtime=<r>]
+                          List tasks, oldest first: status, runtime, PID, timings, exit code, cwd, code
   pm2list                 List all processes (runner + exec tasks)
+  cache prune [--older-than=<days>] [--all]
+                          Delete compiled builds unused for 7 days (or all)
   runner start|stop|status
-                          Manage the task runner process (bm2)
+                          Manage the task runner process (bm2, restarted if it crashes;
+                          status shows restarts and the last error)
+  --mcp                   Serve the tools over MCP stdio (shares the runner)
+  --json                  Print one JSON document on stdout (exec, bash, rerun, status, sleep,
+                          close, signal, ps, pm2list, runner status; errors as {"error": …})
+
+Exit codes: exec, bash, rerun, status and sleep exit with the task's own code once it
+has finished (128+N when killed by signal N), 0 while it is still running, and sleep
+exits 124 when it times out first.
 
-Languages: nodejs (default), python, go, rust, c, cpp, java, deno, bash, cmd, powershell (Windows)
+Languages: auto (default), nodejs, typescript, python, go, rust, c, cpp, java, deno, bash, cmd, powershell (Windows)
 `);
 }
 
-const [cmd, ...rest] = process.argv.slice(2);
+async function cmdMcp() {
+  await ensureRunner();
+  const { startMcpServer } = await import('./mcp-server.js');
+  await startMcpServer({ beforeCall: ensureRunner });
+}
+
+const [cmd, ...rest] = ARGV.filter((a, i) => a !== '--json' || i > PASSTHROUGH);
 
 let exitCode = 0;
+let serving = false;
 try {
   if (!cmd || cmd === 'help' || cmd === '--help' || cmd === '-h') {
     usage();
@@ -372,7 +809,7 @@ try {
     if (sub === 'start') await cmdRunnerStart();
     else if (sub === 'stop') await cmdRunnerStop();
     else if (sub === 'status') await cmdRunnerStatus();
-    else { process.stderr.write(`Unknown runner subcommand: ${sub}\n`); exitCode = 1; }
+    else throw new Error(`Unknown runner subcommand: ${sub}`);
   } else if (cmd === 'exec') {
     const { args, positional } = parseArgs(rest);
     exitCode = (await cmdExec(args, positional)) ?? 0;
@@ -380,33 +817,66 @@ try {
     const { args, positional } = parseArgs(rest);
     exitCode = (await cmdBash(args, positional)) ?? 0;
   } else if (cmd === 'status') {
-    if (!rest[0]) { process.stderr.write('Task ID required\n'); exitCode = 1; }
-    else await cmdStatus(rest[0]);
+    const { args, positional } = parseArgs(rest);
+    if (!positional[0]) throw new Error('Task ID required');
+    exitCode = (await cmdStatus(positional[0], args)) ?? 0;
+  } else if (cmd === 'logs') {
+    const { args, positional } = parseArgs(rest);
+    if (!positional[0]) throw new Error('Task ID required');
+    await cmdLogs(positional[0], args);
   } else if (cmd === 'sleep') {
-    if (!rest[0]) { process.stderr.write('Task ID required\n'); exitCode = 1; }
-    else {
-      const nextOutput = rest.includes('--next-output');
-      const restArgs = rest.filter(a => a !== '--next-output');
-      await cmdSleep(restArgs[0], restArgs[1], nextOutput);
-    }
+    if (!rest[0]) throw new Error('Task ID required');
+    const nextOutput = rest.includes('--next-output');
+    const { args, positional } = parseArgs(rest.filter(a => a !== '--next-output'));
+    exitCode = (await cmdSleep(positional[0], positional[1], nextOutput, parseCursor(args.since, '--since'))) ?? 0;
+  } else if (cmd === 'follow') {
+    const { args, positional } = parseArgs(rest);
+    if (!positional[0]) throw new Error('Task ID required');
+    exitCode = (await cmdFollow(positional[0], args)) ?? 0;
+  } else if (cmd === 'rerun') {
+    const { args, positional } = parseArgs(rest);
+    if (!positional[0]) throw new Error('Task ID required');
+    exitCode = (await cmdRerun(positional[0], args)) ?? 0;
   } else if (cmd === 'close') {
-    if (!rest[0]) { process.stderr.write('Task ID required\n'); exitCode = 1; }
-    else await cmdClose(rest[0]);
+    if (!rest[0]) throw new Error('Task ID required');
+    exitCode = (await cmdClose(rest[0])) ?? 0;
+  } else if (cmd === 'signal') {
+    if (!rest[0]) throw new Error('Task ID required');
+    if (!rest[1]) throw new Error('Signal required (INT, TERM, HUP, USR1, …)');
+    await cmdSignal(rest[0], rest[1]);
   } else if (cmd === 'type') {
-    if (!rest[0]) { process.stderr.write('Task ID required\n'); exitCode = 1; }
-    else if (!rest[1]) { process.stderr.write('Input required\n'); exitCode = 1; }
-    else exitCode = (await cmdType(rest[0], rest.slice(1).join(' '))) ?? 0;
+    const { taskId, input, key, raw } = typeFromArgs(rest);
+    if (!taskId) throw new Error('Task ID required');
+    if (!input && !key) throw new Error('Input required');
+    exitCode = (await cmdType(taskId, input, { key, raw })) ?? 0;
+  } else if (cmd === 'cache') {
+    const { args, positional } = parseArgs(rest);
+    if (positional[0] === 'prune') cmdCachePrune(args);
+    else throw new Error(`Unknown cache subcommand: ${positional[0]}`);
+  } else if (cmd === 'apply' || cmd === 'discard') {
+    const { args, positional } = parseArgs(rest);
+    if (!positional[0]) throw new Error('Workspace ID required');
+    if (cmd === 'apply') cmdApply(positional[0], args);
+    else cmdDiscard(positional[0]);
+  } else if (cmd === 'ps') {
+    const { args } = parseArgs(rest);
+    await cmdPs(args);
   } else if (cmd === 'pm2list') {
     await cmdPm2list();
+  } else if (cmd === '--mcp' || cmd === 'mcp') {
+    await cmdMcp();
+    serving = true;
   } else {
-    process.stderr.write(`Unknown command: ${cmd}\n`);
-    usage();
-    exitCode = 1;
+    if (!JSON_OUTPUT) usage();
+    throw new Error(`Unknown command: ${cmd}`);
   }
 } catch (e) {
-  if (!e?.silent) process.stderr.write(`Error: ${e?.message || String(e)}\n`);
+  if (JSON_OUTPUT) emitJson({ error: e?.message || String(e) });
+  else if (!e?.silent) process.stderr.write(`Error: ${e?.message || String(e)}\n`);
   exitCode = e?.exitCode ?? 1;
 } finally {
-  await printRunningTools();
-  process.exit(exitCode);
+  if (!serving) {
+    await printRunningTools();
+    process.exit(exitCode);
+  }
 }
@@ -0,0 +1,219 @@
+import { readdirSync, readFileSync } from 'fs';
+
+const IS_LINUX = process.platform === 'linux';
+const WATCH_INTERVAL_MS = 250;
+const KILL_GRACE_MS = 5000;
+
+export const LIMIT_KEYS = ['maxMemoryMb', 'cpuSeconds', 'maxProcesses', 'maxFileSizeMb', 'maxOutputBytes'];
+
+export const LIMIT_FLAGS = {
+  'max-memory': 'maxMemoryMb',
+  'max-cpu': 'cpuSeconds',
+  'max-procs': 'maxProcesses',
+  'max-file-size': 'maxFileSizeMb',
+  'max-output': 'maxOutputBytes',
+};
+
+export const limitsSchema = {
+  type: 'object',
+  description: 'Resource limits. Exceeding one kills the task and names the limit in the result.',
+  properties: {
+    maxMemoryMb: { type: 'number', description: 'Max resident memory of the whole process tree (MB)' },
+    cpuSeconds: { type: 'number', description: 'Max CPU time per process (seconds)' },
+    maxProcesses: { type: 'number', description: 'Max extra processes the task may fork' },
+    maxFileSizeMb: { type: 'number', description: 'Max size of any file written (MB)' },
+    maxOutputBytes: { type: 'number', description: 'Max combined stdout+stderr bytes' }
+  }
+};
+
+export function normalizeLimits(limits) {
+  if (!limits) return null;
+  const out = {};
+  for (const key of LIMIT_KEYS) {
+    if (limits[key] === undefined || limits[key] === null || limits[key] === '') continue;
+    const n = Number(limits[key]);
+    if (!Number.isFinite(n) || n <= 0) throw new Error(`Invalid limit ${key}: must be a positive number`);
+    out[key] = n;
+  }
+  return Object.keys(out).length ? out : null;
+}
+
+export function limitsFromArgs(args) {
+  const limits = {};
+  for (const [flag, key] of Object.entries(LIMIT_FLAGS)) {
+    if (args[flag] !== undefined) limits[key] = args[flag];
+  }
+  return normalizeLimits(limits);
+}
+
+function userProcessCount() {
+  const uid = process.getuid?.();
+  let count = 0;
+  try {
+    for (const entry of readdirSync('/proc')) {
+      if (!/^\d+$/.test(entry)) continue;
+      try {
+        const m = /^Uid:\s+(\d+)/m.exec(readFileSync(`/proc/${entry}/status`, 'utf8'));
+        if (m && Number(m[1]) === uid) count++;
+      } catch {}
+    }
+  } catch {}
+  return count;
+}
+
+// rlimits are applied by exec'ing the target through bash's ulimit builtin, so they
+// are inherited by everything the task forks. The CPU hard limit sits one second
+// above the soft one so the kernel sends SIGXCPU before SIGKILL. RLIMIT_NPROC counts
+// every process of the user, so the allowance is added on top of what already runs.
+export function wrapWithLimits(command, args, limits, bash = 'bash') {
+  if (!limits || !IS_LINUX) return { command, args };
+  const cmds = [];
+  if (limits.cpuSeconds) cmds.push(`ulimit -S -t ${Math.ceil(limits.cpuSeconds)} && ulimit -H -t ${Math.ceil(limits.cpuSeconds) + 1}`);
+  if (limits.maxFileSizeMb) cmds.push(`ulimit -f ${Math.ceil(limits.maxFileSizeMb * 1024)}`);
+  if (limits.maxProcesses) cmds.push(`ulimit -u ${userProcessCount() + Math.ceil(limits.maxProcesses)}`);
+  if (!cmds.length) return { command, args };
+  return { command: bash, args: ['-c', `${cmds.join(' && ')} && exec "$@"`, 'gm-exec', command, ...args] };
+}
+
+function processTable() {
+  const table = new Map();
+  for (const entry of readdirSync('/proc')) {
+    if (!/^\d+$/.test(entry)) continue;
+    try {
+      const stat = readFileSync(`/proc/${entry}/stat`, 'utf8');
+      const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+      table.set(Number(entry), { ppid: Number(fields[1]), pgrp: Number(fields[2]), rssPages: Number(fields[21]) });
+    } catch {}
+  }
+  return table;
+}
+
+export function processTree(rootPid) {
+  if (!IS_LINUX) return [{ pid: rootPid, rssBytes: 0 }];
+  const table = processTable();
+  const pageSize = 4096;
+  const tree = [];
+  const queue = [rootPid];
+  while (queue.length) {
+    const pid = queue.shift();
+    const info = table.get(pid);
+    if (!info) continue;
+    tree.push({ pid, rssBytes: info.rssPages * pageSize });
+    for (const [child, c] of table) if (c.ppid === pid) queue.push(child);
+  }
+  return tree;
+}
+
+// Tasks run as process group leaders. A task's processes are its descendants plus
+// anything left in its group, which covers children orphaned by a dying parent.
+export function taskProcesses(rootPid) {
+  if (!IS_LINUX) return [rootPid];
+  const table = processTable();
+  const pids = new Set(processTree(rootPid).map(p => p.pid));
+  for (const [pid, info] of table) if (info.pgrp === rootPid) pids.add(pid);
+  return [...pids];
+}
+
+// Each process is signalled once, children before parents.
+export function signalTree(rootPid, signal) {
+  if (!IS_LINUX) {
+    try { process.kill(-rootPid, signal); } catch { try { process.kill(rootPid, signal); } catch {} }
+    return 1;
+  }
+  const pids = taskProcesses(rootPid);
+  for (const pid of pids.reverse()) {
+    try { process.kill(pid, signal); } catch {}
+  }
+  return pids.length;
+}
+
+// Signals the task's process group, like job control in a shell: processes that moved
+// to a group or session of their own (daemons, a pty's shell) are left alone.
+export function signalGroup(pgid, signal) {
+  let count = 1;
+  if (IS_LINUX) count = [...processTable().values()].filter(info => info.pgrp === pgid).length;
+  process.kill(-pgid, signal);
+  return count;
+}
+
+export function killTree(rootPid, signal = 'SIGKILL') {
+  signalTree(rootPid, signal);
+}
+
+function alive(pid) {
+  try { process.kill(pid, 0); } catch { return false; }
+  if (!IS_LINUX) return true;
+  try {
+    const stat = readFileSync(`/proc/${pid}/stat`, 'utf8');
+    return stat[stat.lastIndexOf(')') + 2] !== 'Z';
+  } catch { return false; }
+}
+
+// Start time of a process in clock ticks since boot, which tells a pid apart from a
+// later process that reused it. null when the process is gone or off Linux.
+export function processStartTime(pid) {
+  if (!IS_LINUX) return null;
+  try {
+    const stat = readFileSync(`/proc/${pid}/stat`, 'utf8');
+    return stat.slice(stat.lastIndexOf(')') + 2).split(' ')[19];
+  } catch { return null; }
+}
+
+// Terminates a process recorded as { pid, start } by an earlier runner. A live pid
+// with another start time was reused and is left alone; a dead one may still have
+// members in its process group, which the kernel does not reuse while they live.
+export async function reapProcess(recorded, graceMs = KILL_GRACE_MS) {
+  if (!recorded?.pid || !recorded.start) return;
+  const start = processStartTime(recorded.pid);
+  if (start !== null && start !== recorded.start) return;
+  await terminateTree(recorded.pid, graceMs);
+}
+
+// SIGTERM to the whole tree, then SIGKILL to whatever is still alive after the grace
+// period. The pids are collected up front, so processes reparented away from the
+// root in the meantime are still killed.
+export async function terminateTree(rootPid, graceMs = KILL_GRACE_MS) {
+  const pids = taskProcesses(rootPid);
+  signalTree(rootPid, 'SIGTERM');
+  const deadline = Date.now() + graceMs;
+  while (Date.now() < deadline && pids.some(alive)) await new Promise(r => setTimeout(r, 100));
+  for (const pid of [rootPid, ...taskProcesses(rootPid), ...pids]) {
+    if (alive(pid)) { try { process.kill(pid, 'SIGKILL'); } catch {} }
+  }
+}
+
+// Polls /proc for the limits rlimits cannot express: resident memory of the whole
+// tree and the number of live descendants. Calls onExceeded(key) once.
+export function watchLimits(child, limits, onExceeded) {
+  if (!limits || !IS_LINUX || !child?.pid || (!limits.maxMemoryMb && !limits.maxProcesses)) return () => {};
+  let fired = false;
+  const timer = setInterval(() => {
+    if (fired) return;
+    let tree;
+    try { tree = processTree(child.pid); } catch { return; }
+    if (!tree.length) return;
+    const rss = tree.reduce((sum, p) => sum + p.rssBytes, 0);
+    let key = null;
+    if (limits.maxMemoryMb && rss > limits.maxMemoryMb * 1024 * 1024) key = 'maxMemoryMb';
+    else if (limits.maxProcesses && tree.length - 1 > limits.maxProcesses) key = 'maxProcesses';
+    if (!key) return;
+    fired = true;
+    clearInterval(timer);
+    killTree(child.pid);
+    onExceeded(key);
+  }, WATCH_INTERVAL_MS);
+  if (timer.unref) timer.unref();
+  return () => clearInterval(timer);
+}
+
+// Signals (or bash's 128+signal exit status) raised by the kernel when an rlimit trips.
+export function limitFromExit(limits, exitCode, signal) {
+  if (!limits) return null;
+  if (limits.cpuSeconds && (signal === 'SIGXCPU' || exitCode === 152)) return 'cpuSeconds';
+  if (limits.maxFileSizeMb && (signal === 'SIGXFSZ' || exitCode === 153)) return 'maxFileSizeMb';
+  return null;
+}
+
+export function describeLimit(key, limits) {
+  return `Resource limit exceeded: ${key}=${limits?.[key]}`;
+}
@@ -0,0 +1,61 @@
+import { test, expect, afterAll } from 'bun:test';
+import { spawn, spawnSync } from 'child_process';
+import { mkdtempSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { normalizeLimits, limitsFromArgs, wrapWithLimits, watchLimits, limitFromExit, reapProcess, processStartTime } from './limits.js';
+
+const linux = process.platform === 'linux';
+const base = mkdtempSync(join(tmpdir(), 'gm-exec-limits-'));
+afterAll(() => rmSync(base, { recursive: true, force: true }));
+
+function runLimited(script, limits) {
+  const { command, args } = wrapWithLimits('bash', ['-c', script], limits);
+  const r = spawnSync(command, args, { cwd: base, encoding: 'utf8', timeout: 20000 });
+  return { ...r, limit: limitFromExit(limits, r.status, r.signal) };
+}
+
+const alive = (pid) => { try { process.kill(pid, 0); return true; } catch { return false; } };
+
+test('limits are read from flags and must be positive numbers', () => {
+  expect(limitsFromArgs({ 'max-memory': '256', 'max-cpu': '1.5' })).toEqual({ maxMemoryMb: 256, cpuSeconds: 1.5 });
+  expect(limitsFromArgs({})).toBeNull();
+  expect(() => normalizeLimits({ maxProcesses: 0 })).toThrow(/maxProcesses: must be a positive number/);
+  expect(() => normalizeLimits({ maxFileSizeMb: 'lots' })).toThrow(/maxFileSizeMb/);
+});
+
+test.skipIf(!linux)('a file over maxFileSizeMb stops the task and names the limit', () => {
+  const r = runLimited('head -c 2000000 /dev/zero > big', { maxFileSizeMb: 1 });
+  expect(r.limit).toBe('maxFileSizeMb');
+  expect(runLimited('head -c 500000 /dev/zero > small', { maxFileSizeMb: 1 }).status).toBe(0);
+});
+
+test.skipIf(!linux)('cpuSeconds stops a busy loop', () => {
+  const r = runLimited('while :; do :; done', { cpuSeconds: 1 });
+  expect(r.limit).toBe('cpuSeconds');
+});
+
+test.skipIf(!linux)('forking past maxProcesses kills the whole tree', async () => {
+  const child = spawn('bash', ['-c', 'for i in 1 2 3 4 5; do sleep 30 & done; wait'], { stdio: 'ignore' });
+  const exceeded = await new Promise(resolve => {
+    const stop = watchLimits(child, { maxProcesses: 2 }, resolve);
+    setTimeout(() => { stop(); resolve(null); }, 5000);
+  });
+  await new Promise(r => child.exitCode !== null || child.signalCode ? r() : child.once('exit', r));
+  expect(exceeded).toBe('maxProcesses');
+  expect(spawnSync('pgrep', ['-P', String(child.pid)]).stdout.toString()).toBe('');
+});
+
+test.skipIf(!linux)('a recorded process is only reaped while its pid still names it', async () => {
+  const leader = spawn('bash', ['-c', 'sleep 30 & wait'], { detached: true, stdio: 'ignore' });
+  try {
+    await new Promise(r => leader.once('spawn', r));
+    const start = processStartTime(leader.pid);
+    await reapProcess({ pid: leader.pid, start: String(Number(start) - 1) }, 1000);
+    expect(alive(leader.pid)).toBe(true);
+    await reapProcess({ pid: leader.pid, start }, 1000);
+    await new Promise(r => leader.exitCode !== null || leader.signalCode ? r() : leader.once('exit', r));
+    expect(spawnSync('pgrep', ['-g', String(leader.pid)]).stdout.toString()).toBe('');
+  } finally { try { process.kill(-leader.pid, 'SIGKILL'); } catch {} }
+  expect(processStartTime(leader.pid)).toBeNull();
+});
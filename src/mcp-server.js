@@ -0,0 +1,42 @@
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { readFileSync } from 'fs';
+import { resolve, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { allTools } from './tools-registry.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+function readVersion() {
+  try { return JSON.parse(readFileSync(resolve(__dirname, '..', 'package.json'), 'utf8')).version; }
+  catch { return '0.0.0'; }
+}
+
+export async function startMcpServer({ beforeCall } = {}) {
+  const server = new Server(
+    { name: 'gm-exec', version: readVersion() },
+    { capabilities: { tools: {} } }
+  );
+
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({
+    tools: allTools.map(({ name, description, inputSchema }) => ({ name, description, inputSchema }))
+  }));
+
+  server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    const { name, arguments: args = {} } = request.params;
+    const tool = allTools.find(t => t.name === name);
+    if (!tool) return { content: [{ type: 'text', text: `Unknown tool: ${name}` }], isError: true };
+    try {
+      if (beforeCall) await beforeCall(name);
+      return await tool.handler(args);
+    } catch (e) {
+      return { content: [{ type: 'text', text: `Error: ${e?.message || String(e)}` }], isError: true };
+    }
+  });
+
+  const transport = new StdioServerTransport();
+  await server.connect(transport);
+  process.stderr.write(`[mcp] gm-exec ${readVersion()} serving ${allTools.length} tools on stdio\n`);
+  return server;
+}
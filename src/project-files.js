@@ -0,0 +1,59 @@
+import { readdirSync, readFileSync, statSync, writeFileSync, mkdirSync } from 'fs';
+import { join, dirname, relative, posix } from 'path';
+
+const MAX_PROJECT_BYTES = 10 * 1024 * 1024;
+const SKIP_DIRS = new Set(['node_modules', 'target', 'build', 'dist', 'out', '__pycache__']);
+
+export const filesSchema = {
+  type: 'object',
+  description: 'Multi-file project: relative path -> file content. Used with go, rust, c, cpp and java; code becomes optional.',
+  additionalProperties: { type: 'string' }
+};
+
+export const entrySchema = {
+  type: 'string',
+  description: 'Entrypoint in files: the main file (rust, or a package dir with go.mod for go) or the main class or .java file'
+};
+
+export function normalizeFiles(files) {
+  if (files === undefined || files === null) return null;
+  if (typeof files !== 'object' || Array.isArray(files)) throw new Error('files must be an object of path: content pairs');
+  const out = {};
+  for (const [raw, content] of Object.entries(files)) {
+    const path = posix.normalize(String(raw).replace(/\\/g, '/'));
+    if (!path || path.startsWith('/') || path === '..' || path.startsWith('../') || /^[A-Za-z]:/.test(path)) {
+      throw new Error(`Invalid project file path "${raw}": must be relative and inside the project`);
+    }
+    if (typeof content !== 'string') throw new Error(`Content of "${raw}" must be a string`);
+    out[path] = content;
+  }
+  return Object.keys(out).length ? out : null;
+}
+
+// Reads a project directory for --dir. Hidden entries and build/dependency folders are skipped.
+export function filesFromDir(root) {
+  const files = {};
+  let total = 0;
+  const walk = (dir) => {
+    for (const entry of readdirSync(dir, { withFileTypes: true })) {
+      if (entry.name.startsWith('.')) continue;
+      const full = join(dir, entry.name);
+      if (entry.isDirectory()) { if (!SKIP_DIRS.has(entry.name)) walk(full); continue; }
+      if (!entry.isFile()) continue;
+      total += statSync(full).size;
+      if (total > MAX_PROJECT_BYTES) throw new Error(`Project in ${root} is larger than ${MAX_PROJECT_BYTES / 1024 / 1024} MB`);
+      files[relative(root, full).split('\\').join('/')] = readFileSync(full, 'utf8');
+    }
+  };
+  walk(root);
+  if (!Object.keys(files).length) throw new Error(`No files found in ${root}`);
+  return files;
+}
+
+export function writeFiles(dir, files) {
+  for (const [path, content] of Object.entries(files || {})) {
+    const target = join(dir, path);
+    mkdirSync(dirname(target), { recursive: true });
+    writeFileSync(target, content);
+  }
+}
@@ -0,0 +1,74 @@
+const DEFAULT_SIZE = { cols: 80, rows: 24 };
+
+export const KEYS = {
+  'ctrl-c': '\x03',
+  'ctrl-d': '\x04',
+  'ctrl-z': '\x1a',
+  'ctrl-\\': '\x1c',
+  'esc': '\x1b',
+  'enter': '\r',
+  'tab': '\t',
+  'backspace': '\x7f',
+  'up': '\x1b[A',
+  'down': '\x1b[B',
+  'right': '\x1b[C',
+  'left': '\x1b[D',
+};
+
+export const ttySchema = {
+  type: ['boolean', 'string'],
+  description: 'Run under a pseudo-terminal (isatty true, colours, prompts). true for 80x24, or "COLSxROWS". stdout and stderr are merged.'
+};
+
+export function parseTty(value) {
+  if (value === undefined || value === null || value === false || value === 'false') return null;
+  if (value === true || value === 'true' || value === '') return { ...DEFAULT_SIZE };
+  if (typeof value === 'object') return normalizeSize(value.cols, value.rows);
+  const m = /^(\d+)x(\d+)$/i.exec(String(value).trim());
+  if (!m) throw new Error(`Invalid tty size "${value}": expected COLSxROWS, e.g. 120x40`);
+  return normalizeSize(m[1], m[2]);
+}
+
+function normalizeSize(cols, rows) {
+  const size = { cols: Number(cols) || DEFAULT_SIZE.cols, rows: Number(rows) || DEFAULT_SIZE.rows };
+  if (size.cols < 1 || size.rows < 1 || !Number.isInteger(size.cols) || !Number.isInteger(size.rows)) {
+    throw new Error('tty cols and rows must be positive integers');
+  }
+  return size;
+}
+
+export function decodeEscapes(input) {
+  return input.replace(/\\(x[0-9a-fA-F]{2}|u[0-9a-fA-F]{4}|[nrtea\\])/g, (_, esc) => {
+    if (esc[0] === 'x' || esc[0] === 'u') return String.fromCharCode(parseInt(esc.slice(1), 16));
+    return { n: '\n', r: '\r', t: '\t', e: '\x1b', a: '\x07', '\\': '\\' }[esc];
+  });
+}
+
+// `type [--raw] [--key=<key>] <task_id> <input…>`: options only count before the task id, the
+// input after it is sent verbatim. The global --json may sit among the options too.
+export function typeFromArgs(argv) {
+  const parsed = { raw: false, key: null };
+  let i = 0;
+  for (; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--raw') parsed.raw = true;
+    else if (a.startsWith('--key=')) parsed.key = a.slice('--key='.length);
+    else if (a === '--key' && i + 1 < argv.length) parsed.key = argv[++i];
+    else if (a !== '--json') break;
+  }
+  return { ...parsed, taskId: argv[i], input: argv.slice(i + 1).join(' '), taskAt: i };
+}
+
+function shellQuote(arg) {
+  return `'${String(arg).replace(/'/g, `'\\''`)}'`;
+}
+
+// Runs the command under script(1), which allocates the pty and relays our pipes
+// to its master side. The window size is set from inside before exec'ing.
+export function wrapWithPty(command, args, tty) {
+  if (!tty) return { command, args };
+  if (process.platform === 'win32') throw new Error('tty mode is not supported on Windows');
+  const inner = `stty cols ${tty.cols} rows ${tty.rows} 2>/dev/null; exec ${[command, ...args].map(shellQuote).join(' ')}`;
+  if (process.platform === 'darwin') return { command: 'script', args: ['-q', '/dev/null', 'sh', '-c', inner] };
+  return { command: 'script', args: ['-qfec', inner, '/dev/null'] };
+}
@@ -0,0 +1,12 @@
+import { test, expect } from 'bun:test';
+import { typeFromArgs } from './pty.js';
+
+test('type sends every word after the task id verbatim', () => {
+  expect(typeFromArgs(['task_1', 'git', 'commit', '--amend'])).toMatchObject({ taskId: 'task_1', input: 'git commit --amend', key: null, raw: false });
+  expect(typeFromArgs(['task_1', 'a', '--', 'b', '--raw']).input).toBe('a -- b --raw');
+});
+
+test('type options are only read before the task id', () => {
+  expect(typeFromArgs(['--raw', '--key', 'ctrl-c', 'task_1', '--key=esc'])).toMatchObject({ taskId: 'task_1', input: '--key=esc', key: 'ctrl-c', raw: true });
+  expect(typeFromArgs(['--key=ctrl-d', 'task_1'])).toMatchObject({ taskId: 'task_1', input: '', key: 'ctrl-d' });
+});
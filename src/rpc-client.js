@@ -1,25 +1,28 @@
 import http from 'http';
-import { readFileSync } from 'fs';
-import { join } from 'path';
-import { tmpdir } from 'os';
+import { runnerEndpoint, runnerToken } from './runner-paths.js';
 
-const PORT_FILE = join(tmpdir(), 'glootie-runner.port');
+function getEndpoint() {
+  const endpoint = runnerEndpoint();
+  if (!endpoint) throw new Error('task runner not available');
+  return endpoint;
+}
 
-function getPort() {
+function getToken() {
   try {
-    return parseInt(readFileSync(PORT_FILE, 'utf8').trim(), 10);
+    return runnerToken();
   } catch {
-    throw new Error('task runner not available');
+    throw new Error('task runner token not readable');
   }
 }
 
 function rpcCall(method, params, timeoutMs = 10000) {
   return new Promise((resolve, reject) => {
-    const port = getPort();
+    const endpoint = getEndpoint();
+    const token = getToken();
     const body = JSON.stringify({ method, params });
     const req = http.request(
-      { hostname: '127.0.0.1', port, path: '/rpc', method: 'POST',
-        headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) } },
+      { ...endpoint, path: '/rpc', method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body), 'Authorization': `Bearer ${token}` } },
       (res) => {
         let data = '';
         res.on('data', chunk => { data += chunk; });
@@ -43,18 +46,35 @@ function rpcCall(method, params, timeoutMs = 10000) {
   });
 }
 
-export async function executeCode(code, runtime, workingDirectory, timeout = 30000, backgroundTaskId = null) {
-  const r = await rpcCall('execute', { code, runtime, workingDirectory, timeout, backgroundTaskId }, timeout + 5000);
+export async function executeCode(code, runtime, workingDirectory, timeout = 30000, backgroundTaskId = null, options = {}) {
+  const r = await rpcCall('execute', { code, runtime, workingDirectory, timeout, backgroundTaskId, options }, timeout + 5000);
   return r?.result ?? r;
 }
 
+export function getRunnerConfig() {
+  return rpcCall('config', {});
+}
+
 export const backgroundStore = {
-  createTask: (code, runtime, workingDirectory) => rpcCall('createTask', { code, runtime, workingDirectory }).then(r => r?.taskId ?? r),
+  createTask: (code, runtime, workingDirectory, options = {}, { name, replace } = {}) => rpcCall('createTask', { code, runtime, workingDirectory, options, name, replace }).then(r => r?.taskId ?? r),
+  rerunTask: (taskId, overrides = {}) => rpcCall('rerunTask', { taskId, ...overrides }),
   startTask: (taskId) => rpcCall('startTask', { taskId }),
   completeTask: (taskId, result) => rpcCall('completeTask', { taskId, result }),
   failTask: (taskId, error) => rpcCall('failTask', { taskId, error }),
-  getTask: (taskId) => rpcCall('getTask', { taskId }).then(r => r?.task ?? r),
+  getTask: (taskId) => rpcCall('getTask', { taskId }).then(r => r?.task || null),
   deleteTask: (taskId) => rpcCall('deleteTask', { taskId }),
   appendOutput: (taskId, type, data) => rpcCall('appendOutput', { taskId, type, data }),
-  getAndClearOutput: (taskId) => rpcCall('getAndClearOutput', { taskId }).then(r => r?.output ?? r),
+  readOutput: (taskId, since = 0, tail) => rpcCall('readOutput', { taskId, since, tail }),
 };
+
+// Tools take a task as its number, `task_N` or the name it was started with.
+export async function resolveTaskId(ref, { includeDeleted = false } = {}) {
+  if (typeof ref === 'number') {
+    if (!Number.isInteger(ref) || ref < 1) throw new Error('Invalid task_id: must be a positive number or a task name');
+    return ref;
+  }
+  if (typeof ref !== 'string' || !ref) throw new Error('Invalid task_id: must be a positive number or a task name');
+  const m = /^(?:task_)?(\d+)$/.exec(ref);
+  if (m) return parseInt(m[1], 10);
+  return (await rpcCall('findTask', { name: ref, includeDeleted })).taskId;
+}
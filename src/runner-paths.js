@@ -0,0 +1,63 @@
+import { mkdirSync, chmodSync, lstatSync, existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir, userInfo } from 'os';
+
+const IS_WIN = process.platform === 'win32';
+
+function userTag() {
+  if (process.getuid) return String(process.getuid());
+  try { return userInfo().username; } catch { return 'default'; }
+}
+
+export const RUNNER_DIR = join(tmpdir(), `gm-exec-${userTag()}`);
+export const SOCKET_FILE = join(RUNNER_DIR, 'runner.sock');
+export const PORT_FILE = join(RUNNER_DIR, 'runner.port');
+export const TOKEN_FILE = join(RUNNER_DIR, 'runner.token');
+export const USE_SOCKET = !IS_WIN && process.env.GM_EXEC_TRANSPORT !== 'tcp';
+
+function ownedRunnerDir() {
+  const st = lstatSync(RUNNER_DIR);
+  if (!st.isDirectory()) throw new Error(`${RUNNER_DIR} is not a directory`);
+  if (st.uid !== process.getuid()) throw new Error(`${RUNNER_DIR} is owned by another user`);
+  return st;
+}
+
+export function ensureRunnerDir() {
+  mkdirSync(RUNNER_DIR, { recursive: true, mode: 0o700 });
+  if (IS_WIN) return;
+  ownedRunnerDir();
+  chmodSync(RUNNER_DIR, 0o700);
+}
+
+// Clients only trust a socket, port or token found in a directory that nobody
+// else could have written to. Returns false when there is no directory yet.
+function trustedRunnerDir() {
+  if (IS_WIN) return existsSync(RUNNER_DIR);
+  let st;
+  try { st = ownedRunnerDir(); } catch (e) {
+    if (e.code === 'ENOENT') return false;
+    throw e;
+  }
+  if (st.mode & 0o077) throw new Error(`${RUNNER_DIR} is accessible to other users (mode ${(st.mode & 0o777).toString(8)})`);
+  return true;
+}
+
+export function runnerEndpoint() {
+  if (!trustedRunnerDir()) return null;
+  if (existsSync(SOCKET_FILE)) return { socketPath: SOCKET_FILE };
+  try {
+    const port = parseInt(readFileSync(PORT_FILE, 'utf8').trim(), 10);
+    if (!isNaN(port)) return { hostname: '127.0.0.1', port };
+  } catch {}
+  return null;
+}
+
+export function describeEndpoint(endpoint = runnerEndpoint()) {
+  if (!endpoint) return 'none';
+  return endpoint.socketPath ? `socket ${endpoint.socketPath}` : `port ${endpoint.port}`;
+}
+
+export function runnerToken() {
+  trustedRunnerDir();
+  return readFileSync(TOKEN_FILE, 'utf8').trim();
+}
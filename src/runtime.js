@@ -1,35 +1,21 @@
-import { spawn, execSync } from 'child_process';
-import { writeFileSync, mkdtempSync, rmSync } from 'fs';
+import { spawn } from 'child_process';
+import { writeFileSync, mkdtempSync, rmSync, readdirSync } from 'fs';
 import path from 'path';
 import os from 'os';
-
-function findBin(...candidates) {
-  const probe = process.platform === 'win32' ? b => `where ${b}` : b => `which ${b}`;
-  for (const bin of candidates) {
-    try { execSync(probe(bin), { stdio: 'ignore', timeout: 3000, windowsHide: true }); return bin; } catch {}
-  }
-  return candidates[0];
-}
+import { wrapWithLimits, terminateTree } from './limits.js';
+import { wrapWithPty } from './pty.js';
+import { buildTaskEnv } from './task-env.js';
+import { cacheKey, compilerVersion, nearestFiles, lookupCompiled, storeCompiled } from './compile-cache.js';
+import { writeFiles } from './project-files.js';
+import { getRuntime, findBin, expandArgv } from './runtime-registry.js';
+import { wrapWithSandbox, sandboxEnv } from './sandbox.js';
 
 const IS_WIN = process.platform === 'win32';
-const PYTHON = findBin('python3', 'python');
-const SHELL = IS_WIN ? 'cmd.exe' : findBin('bash', 'sh');
-const POWERSHELL = findBin('pwsh', 'powershell');
-const BASH = findBin('bash');
-const DENO = findBin('deno');
-const GO = findBin('go');
-const RUSTC = findBin('rustc');
-const GCC = findBin('gcc');
-const GPP = findBin('g++');
-const JAVA = findBin('java');
-const JAVAC = findBin('javac');
-
-const SIGTERM_TIMEOUT = 5000;
 
 function killChild(child) {
   try {
     if (IS_WIN) spawn('taskkill', ['/pid', String(child.pid), '/t', '/f'], { stdio: 'ignore', windowsHide: true });
-    else { child.kill('SIGTERM'); setTimeout(() => { try { if (!child.killed) child.kill('SIGKILL'); } catch {} }, SIGTERM_TIMEOUT); }
+    else terminateTree(child.pid);
   } catch {}
 }
 
@@ -40,73 +26,184 @@ function makeTmp(ext, content) {
   return { dir, file };
 }
 
-function spawnOpts(cwd, stdin = 'pipe') {
-  return { cwd: cwd || process.cwd(), stdio: [stdin, 'pipe', 'pipe'], detached: false, windowsHide: true };
+// Outside Windows every task and build step leads its own process group, so the
+// runner can signal or kill it together with everything it spawns.
+function spawnOpts(cwd, options = {}) {
+  const env = buildTaskEnv(process.env, options);
+  if (options.artifactsDir) env.GM_EXEC_ARTIFACTS = options.artifactsDir;
+  return { cwd: cwd || process.cwd(), env: options.sandbox ? sandboxEnv(env) : env, stdio: ['pipe', 'pipe', 'pipe'], detached: !IS_WIN, windowsHide: true };
+}
+
+// `exposed` lists paths outside cwd that a sandboxed process still needs: the temp
+// dir holding its code (readable) or a build dir (writable). The artifacts dir is
+// always writable.
+export function spawnTask(command, args, cwd, options = {}, exposed = {}) {
+  const limited = wrapWithLimits(command, args, options.limits, findBin(['bash']));
+  const writable = [...(exposed.writable || []), ...(options.artifactsDir ? [options.artifactsDir] : [])];
+  const boxed = wrapWithSandbox(limited.command, limited.args, options.sandbox, cwd || process.cwd(), { ...exposed, writable });
+  const wrapped = wrapWithPty(boxed.command, boxed.args, options.tty);
+  const opts = spawnOpts(cwd, options);
+  if (options.tty) Object.assign(opts.env, { TERM: opts.env.TERM || 'xterm-256color', COLUMNS: String(options.tty.cols), LINES: String(options.tty.rows) });
+  return spawn(wrapped.command, wrapped.args, opts);
+}
+
+function spawnBuild(command, args, cwd, options, dir) {
+  const boxed = wrapWithSandbox(command, args, options.sandbox, cwd || process.cwd(), { writable: [dir] });
+  return spawn(boxed.command, boxed.args, spawnOpts(cwd, options));
+}
+
+function templateArgv(name, def, template, vars) {
+  if (vars.args?.length && !template.includes('{args}')) throw new Error(`args are not supported for ${name}`);
+  return expandArgv(template, { bin: def.bin.length ? findBin(def.bin) : undefined, ...vars });
 }
 
-export function spawnProcess(runtime, code, cwd) {
+export function spawnProcess(runtime, code, cwd, options = {}) {
+  const def = getRuntime(runtime, cwd);
+  if (!def) throw new Error(`Unsupported runtime: ${runtime}`);
+  if (def.builtin === 'compiled') return compileProcess(runtime, def, code, cwd, options);
+  if (def.compile) return compileTemplate(runtime, def, code, cwd, options);
+  if (options.files) throw new Error(`files are not supported for ${runtime}: it has no compile step`);
+
   let tmpDir = null;
   const cleanup = () => { if (tmpDir) { try { rmSync(tmpDir, { recursive: true, force: true }); } catch {} tmpDir = null; } };
-
-  if (runtime === 'nodejs' || runtime === 'typescript') {
-    const child = spawn('bun', ['-e', code], spawnOpts(cwd));
-    return { child, cleanup };
-  }
-  if (runtime === 'python') {
-    const child = spawn(PYTHON, ['-c', code], spawnOpts(cwd));
-    return { child, cleanup };
-  }
-  if (runtime === 'powershell') {
-    const child = spawn(POWERSHELL, ['-NoProfile', '-NonInteractive', '-Command', code], spawnOpts(cwd));
-    return { child, cleanup };
-  }
-  if (runtime === 'cmd') {
-    const child = spawn('cmd.exe', ['/c', code], spawnOpts(cwd));
-    return { child, cleanup };
-  }
-  if (runtime === 'bash') {
-    if (IS_WIN) {
-      const child = spawn(BASH, ['-c', code], spawnOpts(cwd));
-      return { child, cleanup };
-    }
-    const { dir, file } = makeTmp('.sh', code);
+  const vars = { code, cwd, args: options.args || [] };
+  if (def.mode === 'file') {
+    const { dir, file } = makeTmp(def.extensions[0] || '', code);
     tmpDir = dir;
-    const child = spawn(BASH, [file], spawnOpts(cwd));
-    return { child, cleanup };
+    Object.assign(vars, { file, dir });
   }
-  if (runtime === 'deno') {
-    const { dir, file } = makeTmp('.ts', code);
-    tmpDir = dir;
-    const child = spawn(DENO, ['run', '--no-check', file], spawnOpts(cwd));
-    return { child, cleanup };
+  const [command, ...args] = templateArgv(runtime, def, def.run, vars);
+  const child = spawnTask(command, args, cwd, options, { readable: tmpDir ? [tmpDir] : [] });
+  return { child, cleanup };
+}
+
+// Compiled runtimes build into a staging dir that is moved into the compile cache
+// once the build succeeds; later runs with the same key skip the compiler.
+function stageBuild(key) {
+  const hit = lookupCompiled(key);
+  if (hit) return { dir: hit, cached: true, cleanup: () => {} };
+  let dir = mkdtempSync(path.join(os.tmpdir(), 'glootie_'));
+  return {
+    dir,
+    cached: false,
+    cleanup: () => { if (dir) { try { rmSync(dir, { recursive: true, force: true }); } catch {} dir = null; } },
+    promote: () => {
+      const stored = storeCompiled(key, dir);
+      if (!stored) return dir;
+      dir = null;
+      return stored;
+    },
+  };
+}
+
+// Compile/run templates from runtimes.json. The build dir is cached like the
+// built-in compiled languages; {out} is the conventional output path inside it.
+function compileTemplate(runtime, def, code, cwd, options) {
+  const files = options.files || null;
+  const snippet = code && code.trim() ? code : null;
+  if (!snippet && !files) throw new Error('No code or files provided');
+  const ext = def.extensions[0] || '';
+  const outName = `code${IS_WIN ? '.exe' : ''}`;
+  const key = cacheKey([runtime, compilerVersion(findBin(def.bin), def.versionFlag), def.compile, def.run, options.env || null, !!options.cleanEnv, code, files, options.entry || null]);
+  const runCommand = (dir) => templateArgv(runtime, def, def.run, { dir, out: path.join(dir, outName), cwd, file: path.join(dir, options.entry || `code${ext}`), args: options.args || [] });
+  const base = { isCompile: true, runtime, runCommand, killChild };
+  const stage = stageBuild(key);
+  if (stage.cached) return { ...base, ...stage };
+
+  const { dir } = stage;
+  writeFiles(dir, files);
+  if (snippet) writeFileSync(path.join(dir, `code${ext}`), snippet);
+  const [command, ...args] = templateArgv(runtime, def, def.compile, { dir, out: path.join(dir, outName), cwd, file: path.join(dir, options.entry || `code${ext}`) });
+  const child = spawnBuild(command, args, cwd, options, dir);
+  return { ...base, ...stage, child };
+}
+
+const SOURCE_EXTS = { go: ['.go'], rust: ['.rs'], c: ['.c'], cpp: ['.cpp', '.cc', '.cxx'], java: ['.java'] };
+const BUILD_FILES = { go: ['go.mod', 'go.sum', 'go.work', 'go.work.sum'], rust: ['rust-toolchain', 'rust-toolchain.toml'] };
+
+function listSources(dir, exts, recursive = true) {
+  const found = [];
+  for (const entry of readdirSync(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) { if (recursive) found.push(...listSources(full, exts)); }
+    else if (exts.includes(path.extname(entry.name))) found.push(full);
   }
-  if (['go', 'rust', 'c', 'cpp'].includes(runtime)) {
-    const ext = { go: '.go', rust: '.rs', c: '.c', cpp: '.cpp' }[runtime];
-    const { dir, file } = makeTmp(ext, code);
-    tmpDir = dir;
-    const binExt = IS_WIN ? '.exe' : '';
-    const binPath = path.join(dir, `code${binExt}`);
-    if (runtime === 'go') {
-      const child = spawn(GO, ['run', file], spawnOpts(cwd));
-      return { child, cleanup };
-    }
-    const compiler = { rust: RUSTC, c: GCC, cpp: GPP }[runtime];
-    const compileArgs = runtime === 'rust' ? [file, '-o', binPath] : [file, '-o', binPath, '-I', cwd];
-    const compileChild = spawn(compiler, compileArgs, spawnOpts(cwd));
-    return { child: compileChild, isCompile: true, binPath, cleanup, dir, killChild };
+  return found.sort();
+}
+
+function javaClassOf(file, source) {
+  const pkg = /^\s*package\s+([\w.]+)\s*;/m.exec(source);
+  const name = path.basename(file, '.java');
+  return pkg ? `${pkg[1]}.${name}` : name;
+}
+
+// The class to launch: the entry option (class name or .java path), the snippet's
+// class, or the first file that declares a main method.
+function javaMainClass(snippetClass, files, entry) {
+  if (entry && !entry.endsWith('.java')) return entry;
+  if (entry) return javaClassOf(entry, files?.[entry] ?? '');
+  if (snippetClass) return snippetClass;
+  const main = Object.entries(files || {}).find(([f, src]) => f.endsWith('.java') && /\bstatic\s+void\s+main\s*\(/.test(src));
+  if (!main) throw new Error('No main class found; pass entry with the class to run');
+  return javaClassOf(main[0], main[1]);
+}
+
+function rustEntry(files, snippetFile, entry) {
+  if (entry) return entry;
+  if (snippetFile) return snippetFile;
+  const candidates = Object.keys(files).filter(f => f.endsWith('.rs'));
+  const entryFile = ['main.rs', 'src/main.rs'].find(f => candidates.includes(f)) ?? (candidates.length === 1 ? candidates[0] : null);
+  if (!entryFile) throw new Error('Cannot tell which .rs file is the crate root; pass entry');
+  return entryFile;
+}
+
+// Go, Rust, C, C++ and Java. A project (options.files) is written next to the
+// snippet, if any, and built as a whole.
+function compileProcess(runtime, def, code, cwd, options) {
+  const files = options.files || null;
+  const entry = options.entry || null;
+  const snippet = code && code.trim() ? code : null;
+  if (!snippet && !files) throw new Error('No code or files provided');
+  const binName = `code${IS_WIN ? '.exe' : ''}`;
+  const declared = runtime === 'java' && snippet ? /\bpublic\s+(?:final\s+)?class\s+(\w+)/.exec(snippet) : null;
+  const snippetClass = snippet && runtime === 'java' ? (declared ? declared[1] : 'Main') : null;
+  const snippetFile = snippet ? (runtime === 'java' ? `${snippetClass}.java` : `code${SOURCE_EXTS[runtime][0]}`) : null;
+  const className = runtime === 'java' ? javaMainClass(snippetClass, files, entry) : null;
+  const compiler = findBin(def.bin);
+  const flags = { go: ['build'], rust: [], c: ['-I', cwd], cpp: ['-I', cwd], java: ['-cp', cwd] }[runtime];
+  const key = cacheKey([runtime, compilerVersion(compiler, def.versionFlag, cwd), flags, cwd, nearestFiles(cwd || process.cwd(), BUILD_FILES[runtime] || []), options.env || null, !!options.cleanEnv, code, files, entry]);
+  const runCommand = (dir) => runtime === 'java'
+    ? [findBin(['java']), '-cp', [dir, cwd].join(path.delimiter), className, ...(options.args || [])]
+    : [path.join(dir, binName), ...(options.args || [])];
+  const base = { isCompile: true, runtime, runCommand, killChild };
+  const stage = stageBuild(key);
+  if (stage.cached) return { ...base, ...stage };
+
+  const { dir } = stage;
+  const binPath = path.join(dir, binName);
+  writeFiles(dir, files);
+  if (snippet) {
+    // A full compilation unit is compiled as-is; a bare Java snippet becomes the body of Main.main.
+    const source = runtime === 'java' && !declared
+      ? `public class ${snippetClass} {\n  public static void main(String[] args) {\n${snippet.split('\n').map(l => '    ' + l).join('\n')}\n  }\n}`
+      : snippet;
+    writeFileSync(path.join(dir, snippetFile), source);
   }
+  let args;
+  let buildCwd = cwd;
   if (runtime === 'java') {
-    const className = 'Main';
-    const dir = mkdtempSync(path.join(os.tmpdir(), 'glootie_'));
-    const file = path.join(dir, `${className}.java`);
-    writeFileSync(file, `public class ${className} {\n  public static void main(String[] args) {\n${code.split('\n').map(l => '    ' + l).join('\n')}\n  }\n}`);
-    tmpDir = dir;
-    const cpSep = IS_WIN ? ';' : ':';
-    const cp = [dir, cwd].join(cpSep);
-    const compileChild = spawn(JAVAC, ['-cp', cp, file.replace('.java', '.java')], spawnOpts(cwd));
-    return { child: compileChild, isCompile: true, runtime: 'java', dir, cp, className, cleanup, killChild };
+    args = ['-d', dir, '-cp', [dir, cwd].join(path.delimiter), ...listSources(dir, SOURCE_EXTS.java)];
+  } else if (runtime === 'go') {
+    const isModule = !!files?.['go.mod'];
+    if (isModule) buildCwd = dir;
+    args = ['build', '-o', binPath, ...(isModule ? [`./${entry || '.'}`] : listSources(dir, SOURCE_EXTS.go, false))];
+  } else if (runtime === 'rust') {
+    args = [path.join(dir, rustEntry(files, snippetFile, entry)), '-o', binPath];
+  } else {
+    args = [...listSources(dir, SOURCE_EXTS[runtime]), '-o', binPath, '-I', dir, '-I', cwd];
   }
-  throw new Error(`Unsupported runtime: ${runtime}`);
+  const child = spawnBuild(compiler, args, buildCwd, options, dir);
+  return { ...base, ...stage, child };
 }
 
 export { killChild };
@@ -0,0 +1,57 @@
+import { test, expect, afterAll } from 'bun:test';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+const base = mkdtempSync(join(tmpdir(), 'gm-exec-runtime-'));
+const savedCacheDir = process.env.GM_EXEC_CACHE_DIR;
+process.env.GM_EXEC_CACHE_DIR = join(base, 'cache');
+const { spawnProcess } = await import('./runtime.js');
+const { nearestFiles } = await import('./compile-cache.js');
+
+afterAll(() => {
+  rmSync(base, { recursive: true, force: true });
+  if (savedCacheDir === undefined) delete process.env.GM_EXEC_CACHE_DIR;
+  else process.env.GM_EXEC_CACHE_DIR = savedCacheDir;
+});
+
+function project(name, files = {}) {
+  const dir = join(base, name);
+  mkdirSync(dir, { recursive: true });
+  for (const [file, content] of Object.entries(files)) writeFileSync(join(dir, file), content);
+  return dir;
+}
+
+// Stores whatever the build staged (finished or not): only the key matters here.
+async function build(runtime, code, cwd) {
+  const spawned = spawnProcess(runtime, code, cwd);
+  if (spawned.cached) return true;
+  spawned.child.kill('SIGKILL');
+  await new Promise(r => spawned.child.once('close', r));
+  spawned.promote();
+  return false;
+}
+
+test('module and toolchain files are found at or above the build dir', () => {
+  const root = project('nearest', { 'go.mod': 'module a\n' });
+  const sub = project('nearest/pkg', { 'go.sum': 'x\n' });
+  expect(Object.keys(nearestFiles(sub, ['go.mod', 'go.sum', 'go.work']))).toEqual([join(root, 'go.mod'), join(sub, 'go.sum')]);
+});
+
+test.skipIf(!Bun.which('go'))('a go build is cached per cwd and per go.mod', async () => {
+  const code = 'package main\nfunc main() {}\n';
+  const one = project('go-one', { 'go.mod': 'module one\n\ngo 1.21\n' });
+  const two = project('go-two', { 'go.mod': 'module one\n\ngo 1.21\n' });
+  expect(await build('go', code, one)).toBe(false);
+  expect(await build('go', code, one)).toBe(true);
+  expect(await build('go', code, two)).toBe(false);
+  writeFileSync(join(one, 'go.mod'), 'module renamed\n\ngo 1.21\n');
+  expect(await build('go', code, one)).toBe(false);
+});
+
+test.skipIf(!Bun.which('rustc'))('a rust build is cached per cwd', async () => {
+  const code = 'fn main() {}\n';
+  expect(await build('rust', code, project('rs-one'))).toBe(false);
+  expect(await build('rust', code, project('rs-one'))).toBe(true);
+  expect(await build('rust', code, project('rs-two'))).toBe(false);
+});
@@ -0,0 +1,134 @@
+import { spawnSync } from 'child_process';
+import { existsSync } from 'fs';
+import { resolve, join } from 'path';
+import { homedir } from 'os';
+import { RUNNER_DIR } from './runner-paths.js';
+
+const PROBE_TIMEOUT_MS = 5000;
+const STATE_DIR = process.env.GM_EXEC_STATE_DIR || join(homedir(), '.gm-exec');
+
+export const sandboxSchema = {
+  type: ['boolean', 'object'],
+  description: 'Run in a Linux namespace sandbox: read-only host filesystem, writable workingDirectory, private /tmp, no network. true for the default policy, or an object to adjust it.',
+  properties: {
+    network: { type: 'boolean', description: 'Allow network access (default false)' },
+    writable: { type: 'array', items: { type: 'string' }, description: 'Extra paths to keep writable' }
+  }
+};
+
+export function normalizeSandbox(value, cwd) {
+  if (value === undefined || value === null || value === false || value === 'false') return null;
+  const policy = value === true || value === 'true' ? {} : value;
+  if (typeof policy !== 'object' || Array.isArray(policy)) throw new Error('sandbox must be a boolean or an object');
+  const writable = [].concat(policy.writable ?? []);
+  if (writable.some(p => typeof p !== 'string' || !p)) throw new Error('sandbox.writable must be an array of paths');
+  return { network: policy.network === true, writable: writable.map(p => resolve(cwd || process.cwd(), p)) };
+}
+
+export function sandboxFromArgs(args, cwd) {
+  if (!args.sandbox && !args['sandbox-net'] && !args['sandbox-write']) return null;
+  return normalizeSandbox({ network: !!args['sandbox-net'], writable: [].concat(args['sandbox-write'] ?? []).map(String) }, cwd);
+}
+
+let backend;
+
+// bubblewrap when it works here, else util-linux unshare with an unprivileged user
+// namespace. Both are probed once, since containers often ship one that cannot run.
+export function sandboxBackend() {
+  if (backend !== undefined) return backend;
+  backend = null;
+  if (process.platform !== 'linux') return backend;
+  const works = (cmd, args) => spawnSync(cmd, args, { stdio: 'ignore', timeout: PROBE_TIMEOUT_MS }).status === 0;
+  if (works('bwrap', ['--ro-bind', '/', '/', '--unshare-net', 'true'])) backend = 'bwrap';
+  else if (works('unshare', ['--user', '--map-root-user', '--mount', '--net', 'true'])) backend = 'unshare';
+  return backend;
+}
+
+// The runner's socket and token, and the state dir with every task's journal, output
+// and payloads, would let sandboxed code drive the runner or read other tasks. They
+// are covered with an empty tmpfs, and paths that would expose them are refused.
+const HIDDEN_DIRS = [RUNNER_DIR, STATE_DIR];
+
+function contains(dir, path) {
+  return dir === '/' || path === dir || path.startsWith(dir + '/');
+}
+
+// A path inside the state dir, like an --isolated-cwd copy or a compile cache entry,
+// is bound back over the tmpfs; one inside the runner dir never is.
+function checkExposure(paths) {
+  for (const p of paths) {
+    const hidden = HIDDEN_DIRS.find(h => contains(p, h) || (h === RUNNER_DIR && contains(h, p)));
+    if (hidden) throw new Error(`Sandbox path ${p} would expose ${hidden}`);
+  }
+}
+
+// Runs inside the new namespaces: every inherited mount but the private /proc goes
+// read-only, /tmp and /dev/shm become private tmpfs, as do the hidden dirs, then the
+// writable and readable paths (opened as fds beforehand, so ones under /tmp survive)
+// are bound back in. The final unshare moves into a less privileged user namespace,
+// which locks the mounts.
+const UNSHARE_SCRIPT = `set -e
+cwd=$1; shift
+rw=(); n=$1; shift; for ((i=0;i<n;i++)); do rw+=("$1"); shift; done
+ro=(); n=$1; shift; for ((i=0;i<n;i++)); do ro+=("$1"); shift; done
+hide=(); n=$1; shift; for ((i=0;i<n;i++)); do hide+=("$1"); shift; done
+shift
+all=("\${rw[@]}" "\${ro[@]}")
+for i in "\${!all[@]}"; do eval "exec $((i+10))<\\"\\\${all[$i]}\\""; done
+while read -r _ m _; do m=$(printf '%b' "$m"); case $m in /proc|/proc/*) continue;; esac; mount -o remount,bind,ro "$m" 2>/dev/null || true; done < /proc/self/mounts
+mount -t tmpfs -o mode=1777 tmpfs /tmp
+mount -t tmpfs -o mode=1777 tmpfs /dev/shm 2>/dev/null || true
+for h in "\${hide[@]}"; do [ -d "$h" ] && mount -t tmpfs -o mode=700 tmpfs "$h"; done
+for i in "\${!all[@]}"; do
+  p=\${all[$i]}; mode=ro; [ "$i" -lt "\${#rw[@]}" ] && mode=rw
+  mkdir -p "$p" 2>/dev/null || true
+  mount --no-canonicalize --bind "/proc/self/fd/$((i+10))" "$p"
+  mount -o "remount,bind,$mode" "$p"
+  eval "exec $((i+10))<&-"
+done
+cd "$cwd"
+exec unshare --user --map-root-user --mount -- "$@"`;
+
+export function wrapWithSandbox(command, args, policy, cwd, { writable = [], readable = [] } = {}) {
+  if (!policy) return { command, args };
+  const kind = sandboxBackend();
+  if (!kind) throw new Error('Sandbox requested but neither bubblewrap nor unprivileged user namespaces (unshare) are available');
+  const rw = [...new Set([cwd, ...policy.writable, ...writable].filter(Boolean))];
+  const ro = [...new Set(readable.filter(p => p && !rw.includes(p)))];
+  const missing = [...rw, ...ro].find(p => !existsSync(p));
+  if (missing) throw new Error(`Sandbox path does not exist: ${missing}`);
+  checkExposure([...rw, ...ro]);
+  const hide = HIDDEN_DIRS.filter(h => existsSync(h) && !contains('/tmp', h));
+  if (kind === 'bwrap') {
+    const binds = [...rw.flatMap(p => ['--bind', p, p]), ...ro.flatMap(p => ['--ro-bind', p, p])];
+    return {
+      command: 'bwrap',
+      args: [
+        '--ro-bind', '/', '/', '--dev', '/dev', '--proc', '/proc', '--tmpfs', '/tmp', '--tmpfs', '/dev/shm',
+        ...hide.flatMap(h => ['--tmpfs', h]), ...binds, ...(policy.network ? [] : ['--unshare-net']), '--unshare-pid', '--die-with-parent',
+        '--chdir', cwd, '--', command, ...args,
+      ],
+    };
+  }
+  return {
+    command: 'unshare',
+    args: [
+      '--user', '--map-root-user', '--mount', '--pid', '--fork', '--mount-proc', ...(policy.network ? [] : ['--net']),
+      'bash', '-c', UNSHARE_SCRIPT, 'gm-exec-sandbox', cwd, String(rw.length), ...rw, String(ro.length), ...ro, String(hide.length), ...hide, '--', command, ...args,
+    ],
+  };
+}
+
+// Tools inside the sandbox must not write to the read-only home or host temp dir.
+export function sandboxEnv(env) {
+  return { ...env, TMPDIR: '/tmp', GOCACHE: env.GOCACHE || '/tmp/go-build' };
+}
+
+export function describeSandbox(policy, cwd) {
+  if (!policy) return null;
+  return { backend: sandboxBackend(), network: policy.network, writable: [cwd, ...policy.writable] };
+}
+
+export function formatSandbox(info) {
+  return `Sandbox: ${info.backend}, ${info.network ? 'network allowed' : 'no network'}, writable: ${info.writable.join(', ')}`;
+}
@@ -0,0 +1,95 @@
+import { test, expect, beforeAll, afterAll } from 'bun:test';
+import { spawnSync } from 'child_process';
+import { mkdtempSync, mkdirSync, writeFileSync, readFileSync, rmSync, existsSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+// Outside /tmp, so the runner dir is not already covered by the sandbox's private /tmp.
+const base = mkdtempSync(join(existsSync('/var/tmp') ? '/var/tmp' : tmpdir(), 'gm-exec-sandbox-'));
+const saved = { TMPDIR: process.env.TMPDIR, GM_EXEC_STATE_DIR: process.env.GM_EXEC_STATE_DIR };
+process.env.TMPDIR = join(base, 'tmp');
+process.env.GM_EXEC_STATE_DIR = join(base, 'state');
+const { RUNNER_DIR, TOKEN_FILE } = await import('./runner-paths.js');
+const { sandboxBackend, normalizeSandbox, sandboxFromArgs, wrapWithSandbox } = await import('./sandbox.js');
+const backend = sandboxBackend();
+const work = join(base, 'work');
+
+function run(script, cwd, policy = normalizeSandbox(true, cwd), extra) {
+  const { command, args } = wrapWithSandbox('bash', ['-c', script], policy, cwd, extra);
+  return spawnSync(command, args, { encoding: 'utf8', timeout: 20000 });
+}
+
+beforeAll(() => {
+  mkdirSync(RUNNER_DIR, { recursive: true, mode: 0o700 });
+  writeFileSync(TOKEN_FILE, 'secret-token');
+  mkdirSync(join(process.env.GM_EXEC_STATE_DIR, 'workspaces', 'ws_1', 'tree'), { recursive: true });
+  writeFileSync(join(process.env.GM_EXEC_STATE_DIR, 'tasks.jsonl'), 'journal\n');
+  mkdirSync(work);
+});
+
+afterAll(() => {
+  rmSync(base, { recursive: true, force: true });
+  for (const [name, value] of Object.entries(saved)) {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+});
+
+test.skipIf(!backend)('sandboxed code cannot read the runner token or the journal', () => {
+  const r = run(`cat ${TOKEN_FILE}; cat ${process.env.GM_EXEC_STATE_DIR}/tasks.jsonl; echo done`, work);
+  expect(r.stdout).not.toContain('secret-token');
+  expect(r.stdout).not.toContain('journal');
+  expect(r.stdout).toContain('done');
+});
+
+test.skipIf(!backend)('the working directory stays writable and the host read-only', () => {
+  const r = run(`echo hi > out.txt && cat out.txt; touch ${base}/escaped 2>/dev/null || echo blocked`, work);
+  expect(r.stdout).toBe('hi\nblocked\n');
+});
+
+test.skipIf(!backend)('a workspace inside the state dir can still be the working directory', () => {
+  const tree = join(process.env.GM_EXEC_STATE_DIR, 'workspaces', 'ws_1', 'tree');
+  const r = run(`echo ok > f && cat f; ls ${process.env.GM_EXEC_STATE_DIR}`, tree);
+  expect(r.stdout).toBe('ok\nworkspaces\n');
+});
+
+test.skipIf(!backend)('paths that would expose the runner or state dir are refused', () => {
+  expect(() => run('true', base)).toThrow(/would expose/);
+  expect(() => run('true', work, normalizeSandbox({ writable: [process.env.TMPDIR] }, work))).toThrow(/would expose/);
+  expect(() => run('true', work, normalizeSandbox(true, work), { readable: [RUNNER_DIR] })).toThrow(/would expose/);
+});
+
+test('policies resolve writable paths against the cwd and keep the network off by default', () => {
+  expect(normalizeSandbox(false, work)).toBeNull();
+  expect(normalizeSandbox(true, work)).toEqual({ network: false, writable: [] });
+  expect(normalizeSandbox({ network: true, writable: ['out', '/abs'] }, work)).toEqual({ network: true, writable: [join(work, 'out'), '/abs'] });
+  expect(sandboxFromArgs({ 'sandbox-write': 'out' }, work)).toEqual({ network: false, writable: [join(work, 'out')] });
+  expect(sandboxFromArgs({}, work)).toBeNull();
+  expect(() => normalizeSandbox({ writable: [''] }, work)).toThrow(/sandbox.writable/);
+  expect(() => normalizeSandbox('yes', work)).toThrow(/boolean or an object/);
+});
+
+test.skipIf(!backend)('extra writable and readable paths are bound in with their modes, even with spaces', () => {
+  const out = join(base, 'out dir');
+  const ref = join(base, 'ref dir');
+  mkdirSync(out);
+  mkdirSync(ref);
+  writeFileSync(join(ref, 'data'), 'ref');
+  const policy = normalizeSandbox({ writable: [out] }, work);
+  const r = run(`echo w > "${out}/f" && cat "${ref}/data"; echo x > "${ref}/g" 2>/dev/null || echo ro`, work, policy, { readable: [ref] });
+  expect(r.stdout).toBe('refro\n');
+  expect(readFileSync(join(out, 'f'), 'utf8')).toBe('w\n');
+  expect(() => run('true', work, normalizeSandbox({ writable: [join(base, 'missing')] }, work))).toThrow(/does not exist/);
+});
+
+test.skipIf(!backend)('/tmp is private and only loopback networking is left unless allowed', () => {
+  const hostFile = `/tmp/gm-exec-host-${process.pid}`;
+  writeFileSync(hostFile, 'host');
+  try {
+    const r = run(`ls ${hostFile} 2>/dev/null || echo private; echo t > /tmp/inside; grep -c : /proc/net/dev`, work);
+    expect(r.stdout).toBe('private\n1\n');
+    expect(existsSync('/tmp/inside')).toBe(false);
+    const open = run('grep -c : /proc/net/dev', work, normalizeSandbox({ network: true }, work));
+    expect(Number(open.stdout)).toBe(readFileSync('/proc/net/dev', 'utf8').split('\n').filter(l => l.includes(':')).length);
+  } finally { rmSync(hostFile, { force: true }); }
+});
@@ -0,0 +1,90 @@
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+
+const NAME_RE = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+export const ENV_ALLOWLIST = [
+  'PATH', 'HOME', 'USER', 'LOGNAME', 'SHELL', 'LANG', 'LANGUAGE', 'LC_ALL', 'LC_CTYPE',
+  'TERM', 'TZ', 'TMPDIR', 'TEMP', 'TMP',
+  'SYSTEMROOT', 'SYSTEMDRIVE', 'COMSPEC', 'PATHEXT', 'WINDIR', 'USERPROFILE', 'APPDATA', 'LOCALAPPDATA',
+];
+
+// Variables the runner uses to talk to the task wrapper; never handed to user code.
+const INTERNAL_KEYS = [
+  'TASK_ID', 'RUNTIME', 'CWD', 'CODE_FILE', 'STDIN_FILE', 'PORT',
+  'GM_EXEC_OPTIONS_FILE', 'GM_EXEC_RPC_SOCKET', 'GM_EXEC_RPC_PORT', 'GM_EXEC_RPC_TOKEN', 'GM_EXEC_LOG_OUT', 'GM_EXEC_LOG_ERR',
+];
+
+export const envSchema = {
+  type: 'object',
+  description: 'Environment variables for the task. A null value removes an inherited variable.',
+  additionalProperties: { type: ['string', 'number', 'boolean', 'null'] }
+};
+
+export const cleanEnvSchema = {
+  type: 'boolean',
+  description: `Start from an empty environment plus ${ENV_ALLOWLIST.slice(0, 6).join(', ')}… instead of the runner's, for reproducible runs`
+};
+
+export function normalizeEnv(env) {
+  if (env === undefined || env === null) return null;
+  if (typeof env !== 'object' || Array.isArray(env)) throw new Error('env must be an object of NAME: value pairs');
+  const out = {};
+  for (const [name, value] of Object.entries(env)) {
+    if (!NAME_RE.test(name)) throw new Error(`Invalid environment variable name "${name}"`);
+    out[name] = value === null ? null : String(value);
+  }
+  return Object.keys(out).length ? out : null;
+}
+
+export function parseEnvFile(text) {
+  const env = {};
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) continue;
+    const m = /^(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/.exec(line);
+    if (!m) throw new Error(`Invalid line in env file: ${line}`);
+    let value = m[2];
+    if (/^"(.*)"$/.test(value)) value = value.slice(1, -1).replace(/\\n/g, '\n').replace(/\\"/g, '"').replace(/\\\\/g, '\\');
+    else if (/^'(.*)'$/.test(value)) value = value.slice(1, -1);
+    else value = value.replace(/\s+#.*$/, '');
+    env[m[1]] = value;
+  }
+  return env;
+}
+
+function assignment(spec) {
+  const eq = spec.indexOf('=');
+  if (eq <= 0) throw new Error(`Invalid --env "${spec}": expected KEY=VALUE`);
+  return [spec.slice(0, eq), spec.slice(eq + 1)];
+}
+
+// --env-file entries first, then --env, then --unset-env; later ones win.
+export function envFromArgs(args) {
+  const env = {};
+  for (const file of [].concat(args['env-file'] ?? [])) {
+    Object.assign(env, parseEnvFile(readFileSync(resolve(String(file)), 'utf8')));
+  }
+  for (const spec of [].concat(args.env ?? [])) {
+    const [name, value] = assignment(String(spec));
+    env[name] = value;
+  }
+  for (const name of [].concat(args['unset-env'] ?? [])) env[String(name)] = null;
+  return normalizeEnv(env);
+}
+
+export function buildTaskEnv(base, options = {}) {
+  const env = {};
+  if (options.cleanEnv) {
+    for (const name of ENV_ALLOWLIST) if (base[name] !== undefined) env[name] = base[name];
+  } else {
+    for (const [name, value] of Object.entries(base)) {
+      if (!INTERNAL_KEYS.includes(name)) env[name] = value;
+    }
+  }
+  for (const [name, value] of Object.entries(options.env || {})) {
+    if (value === null) delete env[name];
+    else env[name] = value;
+  }
+  return env;
+}
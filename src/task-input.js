@@ -0,0 +1,35 @@
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+
+export const argsSchema = {
+  type: 'array',
+  items: { type: 'string' },
+  description: 'Command-line arguments for the program (sys.argv[1:], process.argv after "--", $1.., os.Args[1:], main(args))'
+};
+
+export const stdinSchema = {
+  type: 'string',
+  description: 'Text written to the program\'s stdin, followed by EOF'
+};
+
+export function normalizeArgs(args) {
+  if (args === undefined || args === null) return null;
+  if (!Array.isArray(args)) throw new Error('args must be an array of strings');
+  return args.length ? args.map(String) : null;
+}
+
+export function normalizeStdin(stdin) {
+  if (stdin === undefined || stdin === null) return null;
+  if (typeof stdin !== 'string') throw new Error('stdin must be a string');
+  return stdin;
+}
+
+// --arg values come first, then everything after a bare "--". --stdin-file=- reads
+// the CLI's own piped stdin.
+export function inputFromArgs(cmdArgs, passthrough = []) {
+  const args = [...[].concat(cmdArgs.arg ?? []), ...passthrough].map(String);
+  let stdin = cmdArgs.stdin !== undefined && cmdArgs.stdin !== true ? String(cmdArgs.stdin) : null;
+  const file = cmdArgs['stdin-file'];
+  if (file !== undefined) stdin = readFileSync(file === '-' ? 0 : resolve(String(file)), 'utf8');
+  return { args: normalizeArgs(args), stdin };
+}
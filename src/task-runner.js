@@ -1,44 +1,136 @@
 import http from 'http';
-import { writeFileSync, unlinkSync, mkdirSync, readFileSync } from 'fs';
+import net from 'net';
+import { writeFileSync, unlinkSync, mkdirSync, chmodSync, statSync } from 'fs';
+import { randomBytes, timingSafeEqual } from 'crypto';
 import { join, resolve, dirname } from 'path';
-import { tmpdir, homedir } from 'os';
+import { homedir } from 'os';
 import { fileURLToPath } from 'url';
-import { backgroundStore } from './background-tasks.js';
+import { backgroundStore, validateTaskName, rerunOptions } from './background-tasks.js';
+import { RUNNER_DIR, SOCKET_FILE, PORT_FILE, TOKEN_FILE, USE_SOCKET, ensureRunnerDir } from './runner-paths.js';
+import { terminateTree, signalGroup, processStartTime } from './limits.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const EXEC_PROCESS_SCRIPT = resolve(__dirname, 'exec-process.js');
-const PORT_FILE = join(tmpdir(), 'glootie-runner.port');
+const TOKEN = randomBytes(32).toString('hex');
+const STATE_DIR = process.env.GM_EXEC_STATE_DIR || join(homedir(), '.gm-exec');
+const JOURNAL_FILE = join(STATE_DIR, 'tasks.jsonl');
+const DEFAULT_WAIT_MS = (() => {
+  const n = parseInt(process.env.GM_EXEC_DEFAULT_WAIT_MS, 10);
+  return Number.isFinite(n) && n >= 0 ? n : 15000;
+})();
 
 const activeProcesses = new Map(); // taskId -> Subprocess
+const childPids = new Map(); // taskId -> pid of the task's process group leader
+const PREVIEW_LENGTH = 60;
+const SHUTDOWN_GRACE_MS = 2000;
+const SIGNALS = ['SIGINT', 'SIGTERM', 'SIGHUP', 'SIGQUIT', 'SIGKILL', 'SIGUSR1', 'SIGUSR2', 'SIGSTOP', 'SIGCONT', 'SIGWINCH'];
+const IS_WIN = process.platform === 'win32';
+let rpcEndpoint = null;
+let socketIno = null; // inode of the socket this runner bound, so it only ever removes its own
 
 function randomPort() { return Math.floor(Math.random() * 10000) + 30000; }
 
-async function tryListen(server, port) {
-  return new Promise((resolve, reject) => { server.once('error', reject); server.listen(port, '127.0.0.1', () => resolve()); });
+async function tryListen(server, ...listenArgs) {
+  return new Promise((resolve, reject) => { server.once('error', reject); server.listen(...listenArgs, () => resolve()); });
+}
+
+function socketInUse(path) {
+  return new Promise(resolve => {
+    const conn = net.connect(path);
+    conn.setTimeout(1000, () => { conn.destroy(); resolve(false); });
+    conn.once('connect', () => { conn.destroy(); resolve(true); });
+    conn.once('error', () => resolve(false));
+  });
+}
+
+function ownsSocket() {
+  try { return statSync(SOCKET_FILE).ino === socketIno; } catch { return false; }
+}
+
+// Stops a task's wrapper and everything under it. The wrapper's tree covers a child
+// that has not reported its pid yet; the child's own group catches orphans.
+async function stopTask(taskId, graceMs) {
+  const proc = activeProcesses.get(taskId);
+  const pid = childPids.get(taskId);
+  activeProcesses.delete(taskId);
+  childPids.delete(taskId);
+  try {
+    if (IS_WIN) {
+      const { spawnSync } = require('child_process');
+      if (proc) spawnSync('taskkill', ['/pid', String(proc.pid), '/t', '/f'], { stdio: 'ignore', windowsHide: true });
+      return;
+    }
+    await Promise.all([proc && terminateTree(proc.pid, graceMs), pid && terminateTree(pid, graceMs)]);
+  } catch {}
+}
+
+function signalTask(taskId, name) {
+  const signal = String(name || '').toUpperCase().replace(/^(SIG)?/, 'SIG');
+  if (!SIGNALS.includes(signal)) throw Object.assign(new Error(`Unsupported signal ${name} (use ${SIGNALS.map(s => s.slice(3)).join(', ')})`), { code: -32602 });
+  const pid = childPids.get(taskId);
+  if (!pid) throw Object.assign(new Error('Task not found or not running'), { code: -32004 });
+  try { return { signal, processes: signalGroup(pid, signal) }; }
+  catch (e) { throw Object.assign(new Error(e.code === 'ESRCH' ? 'Task has no running processes' : e.message), { code: -32004 }); }
+}
+
+// A name belongs to one running task at a time; `replace` stops and deletes the
+// current holder first. Finished tasks give their name up to the new one.
+async function claimName(name, replace) {
+  const holder = name && backgroundStore.findByName(validateTaskName(name));
+  if (!holder || (holder.status !== 'running' && holder.status !== 'pending')) return;
+  if (!replace) throw Object.assign(new Error(`Task "${name}" is already running as task_${holder.id} (use --replace, or replace: true over MCP, to stop it first)`), { code: -32602 });
+  backgroundStore.deleteTask(holder.id);
+  await stopTask(holder.id);
 }
 
 async function cleanupStaleProcesses() {
   // Kill any tracked active processes from a previous runner session
-  for (const [taskId, proc] of activeProcesses) {
-    try {
-      const IS_WIN = process.platform === 'win32';
-      if (IS_WIN) {
-        const { spawnSync } = require('child_process');
-        spawnSync('taskkill', ['/pid', String(proc.pid), '/t', '/f'], { stdio: 'ignore', windowsHide: true });
-      } else {
-        proc.kill('SIGTERM');
-      }
-    } catch {}
-  }
-  activeProcesses.clear();
+  await Promise.all([...activeProcesses.keys()].map(id => stopTask(id, SHUTDOWN_GRACE_MS)));
+}
+
+function writePrivate(file, data) {
+  writeFileSync(file, data, { mode: 0o600 });
+  chmodSync(file, 0o600);
+}
+
+function isAuthorized(req) {
+  const header = req.headers['authorization'] || '';
+  const given = Buffer.from(header.replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(TOKEN);
+  return given.length === expected.length && timingSafeEqual(given, expected);
 }
 
 async function startServer() {
   await cleanupStaleProcesses();
+  ensureRunnerDir();
+  // A socket that still accepts connections belongs to a live runner; only a stale one is replaced.
+  if (!IS_WIN && await socketInUse(SOCKET_FILE)) throw new Error(`another runner is already listening on ${SOCKET_FILE}`);
+  // Locks the state dir before the token is replaced, so a runner that loses the race changes nothing.
+  backgroundStore.attachJournal(JOURNAL_FILE);
+  writePrivate(TOKEN_FILE, TOKEN);
   const server = http.createServer(handleRequest);
+  if (USE_SOCKET) {
+    try {
+      try { unlinkSync(SOCKET_FILE); } catch {}
+      await tryListen(server, SOCKET_FILE);
+      socketIno = statSync(SOCKET_FILE).ino;
+      chmodSync(SOCKET_FILE, 0o600);
+      try { unlinkSync(PORT_FILE); } catch {}
+      rpcEndpoint = { socketPath: SOCKET_FILE };
+      return server;
+    } catch (e) {
+      process.stderr.write('[runner] unix socket unavailable, falling back to TCP: ' + e.message + '\n');
+    }
+  }
+  try { unlinkSync(SOCKET_FILE); } catch {}
   for (let i = 0; i < 10; i++) {
     const port = randomPort();
-    try { await tryListen(server, port); writeFileSync(PORT_FILE, String(port)); return server; }
+    try {
+      await tryListen(server, port, '127.0.0.1');
+      writePrivate(PORT_FILE, String(port));
+      rpcEndpoint = { hostname: '127.0.0.1', port };
+      return server;
+    }
     catch (e) { if (e.code !== 'EADDRINUSE') throw e; }
   }
   throw new Error('Could not bind port after 10 attempts');
@@ -59,10 +151,15 @@ async function readBody(req) {
   });
 }
 
-async function startExecProcess(taskId, code, runtime, workingDirectory) {
-  const codeFile = join(tmpdir(), 'gm-exec-code-' + taskId + '.mjs');
-  writeFileSync(codeFile, code);
-  const currentPort = parseInt(readFileSync(PORT_FILE, 'utf8').trim(), 10);
+async function startExecProcess(taskId, code, runtime, workingDirectory, options = {}) {
+  const codeFile = join(RUNNER_DIR, 'gm-exec-code-' + taskId + '.mjs');
+  writeFileSync(codeFile, code, { mode: 0o600 });
+  const { stdin, ...execOptions } = options || {};
+  const stdinFile = stdin != null ? join(RUNNER_DIR, 'gm-exec-stdin-' + taskId) : null;
+  if (stdinFile) writeFileSync(stdinFile, stdin, { mode: 0o600 });
+  // Options can carry a whole project (files), too big for an environment variable.
+  const optionsFile = join(RUNNER_DIR, 'gm-exec-options-' + taskId + '.json');
+  writeFileSync(optionsFile, JSON.stringify(execOptions), { mode: 0o600 });
   const IS_WIN = process.platform === 'win32';
   const logDir = join(homedir(), '.pm2', 'logs');
   try { mkdirSync(logDir, { recursive: true }); } catch {}
@@ -71,12 +168,15 @@ async function startExecProcess(taskId, code, runtime, workingDirectory) {
 
   const childEnv = { ...process.env }
   delete childEnv.PORT
-  process.stderr.write('[runner] childEnv.PORT=' + childEnv.PORT + ' process.env.PORT=' + process.env.PORT + ' rpcPort=' + currentPort + '\n')
   childEnv.TASK_ID = String(taskId)
-  childEnv.GM_EXEC_RPC_PORT = String(currentPort)
+  if (rpcEndpoint.socketPath) childEnv.GM_EXEC_RPC_SOCKET = rpcEndpoint.socketPath
+  else childEnv.GM_EXEC_RPC_PORT = String(rpcEndpoint.port)
+  childEnv.GM_EXEC_RPC_TOKEN = TOKEN
   childEnv.RUNTIME = runtime
   childEnv.CWD = workingDirectory
   childEnv.CODE_FILE = codeFile
+  if (stdinFile) childEnv.STDIN_FILE = stdinFile
+  childEnv.GM_EXEC_OPTIONS_FILE = optionsFile
   const proc = Bun.spawn(['bun', EXEC_PROCESS_SCRIPT], {
     env: childEnv,
     cwd: workingDirectory || process.cwd(),
@@ -88,6 +188,7 @@ async function startExecProcess(taskId, code, runtime, workingDirectory) {
 
   activeProcesses.set(taskId, proc);
   backgroundStore.startTask(taskId);
+  backgroundStore.updateTask(taskId, { wrapper: { pid: proc.pid, start: processStartTime(proc.pid) } });
 
   // Pipe stdout/stderr to log files
   (async () => {
@@ -110,6 +211,7 @@ async function startExecProcess(taskId, code, runtime, workingDirectory) {
   proc.exited.then((code) => {
     process.stderr.write('[runner] exec-process exited taskId=' + taskId + ' code=' + code + ' pid=' + proc.pid + '\n');
     activeProcesses.delete(taskId);
+    childPids.delete(taskId);
   }).catch((e) => { process.stderr.write('[runner] exec-process error: ' + e + '\n'); });
 }
 
@@ -123,25 +225,59 @@ async function pollForCompletion(taskId, timeoutMs) {
   return null;
 }
 
+// One row of `gm-exec ps`: enough to recognise a task without pulling its output.
+function summarizeTask(task) {
+  const firstLine = String(task.code || '').trim().split('\n')[0];
+  return {
+    id: task.id, status: task.status, runtime: task.runtime, workingDirectory: task.workingDirectory, name: task.name ?? null, rerunOf: task.rerunOf ?? null,
+    preview: firstLine.length > PREVIEW_LENGTH ? firstLine.slice(0, PREVIEW_LENGTH - 1) + '…' : firstLine,
+    createdAt: task.createdAt, startedAt: task.startedAt, completedAt: task.completedAt,
+    exitCode: task.result ? task.result.exitCode ?? (task.result.success === false ? 1 : 0) : null,
+    pid: childPids.get(task.id) ?? activeProcesses.get(task.id)?.pid ?? null,
+  };
+}
+
 async function handleRPC(body) {
   const { method, params = {} } = body;
   switch (method) {
     case 'execute': {
       const { code, runtime, workingDirectory, timeout, backgroundTaskId: taskId } = params;
-      await startExecProcess(taskId, code, runtime, workingDirectory);
-      const task = await pollForCompletion(taskId, timeout || 15000);
+      const options = params.options || backgroundStore.getTask(taskId)?.options;
+      await startExecProcess(taskId, code, runtime, workingDirectory, options);
+      const task = await pollForCompletion(taskId, timeout ?? DEFAULT_WAIT_MS);
       if (task) {
         process.stderr.write('[runner] execute-delete taskId=' + taskId + ' status=' + task.status + '\n');
         activeProcesses.delete(taskId);
-        backgroundStore.deleteTask(taskId);
-        return { result: { success: task.result?.success === true, stdout: task.result?.stdout || '', stderr: task.result?.stderr || '', error: task.result?.error || null, exitCode: task.result?.exitCode ?? (task.result?.success ? 0 : 1), backgroundTaskId: taskId, completed: true } };
+        childPids.delete(taskId);
+        backgroundStore.deleteTask(taskId, { keepWorkspace: true });
+        return { result: { ...task.result, success: task.result?.success === true, stdout: task.result?.stdout || '', stderr: task.result?.stderr || '', error: task.result?.error || null, exitCode: task.result?.exitCode ?? (task.result?.success ? 0 : 1), runtime: task.runtime, status: task.status, createdAt: task.createdAt, startedAt: task.startedAt, completedAt: task.completedAt, executionTimeMs: task.completedAt - task.startedAt, backgroundTaskId: taskId, name: task.name ?? null, rerunOf: task.rerunOf ?? null, completed: true } };
       }
       return { result: { backgroundTaskId: taskId, persisted: true } };
     }
+    case 'config':
+      return { defaultWaitMs: DEFAULT_WAIT_MS };
     case 'createTask': {
-      const taskId = backgroundStore.createTask(params.code, params.runtime, params.workingDirectory);
+      await claimName(params.name, params.replace);
+      const taskId = backgroundStore.createTask(params.code, params.runtime, params.workingDirectory, params.options, { name: params.name });
       return { taskId };
     }
+    case 'rerunTask': {
+      const def = backgroundStore.getDefinition(params.taskId);
+      if (!def) throw Object.assign(new Error(`Task ${params.taskId} not found`), { code: -32004 });
+      const workingDirectory = params.workingDirectory || def.workingDirectory;
+      let options;
+      try { options = rerunOptions(def, params); }
+      catch (e) { throw Object.assign(e, { code: -32602 }); }
+      const name = params.name === undefined ? def.name : params.name;
+      await claimName(name, params.replace);
+      const taskId = backgroundStore.createTask(def.code, def.runtime, workingDirectory, options, { rerunOf: def.id, name });
+      return { taskId, code: def.code, runtime: def.runtime, workingDirectory, options, rerunOf: def.id, name };
+    }
+    case 'findTask': {
+      const task = backgroundStore.findByName(params.name, { includeDeleted: !!params.includeDeleted });
+      if (!task) throw Object.assign(new Error(`No task named "${params.name}"`), { code: -32004 });
+      return { taskId: task.id };
+    }
     case 'startTask':
       backgroundStore.startTask(params.taskId);
       return {};
@@ -154,25 +290,25 @@ async function handleRPC(body) {
     case 'getTask':
       return { task: backgroundStore.getTask(params.taskId) };
     case 'deleteTask': {
-      const proc = activeProcesses.get(params.taskId);
-      process.stderr.write('[runner] deleteTask ' + params.taskId + ' pid=' + proc?.pid + '\n');
-      activeProcesses.delete(params.taskId);
+      process.stderr.write('[runner] deleteTask ' + params.taskId + ' pid=' + activeProcesses.get(params.taskId)?.pid + '\n');
       backgroundStore.deleteTask(params.taskId);
-      if (proc) {
-        try {
-          const IS_WIN = process.platform === 'win32';
-          if (IS_WIN) {
-            const { spawnSync } = require('child_process');
-            spawnSync('taskkill', ['/pid', String(proc.pid), '/t', '/f'], { stdio: 'ignore', windowsHide: true });
-          } else {
-            proc.kill('SIGTERM');
-          }
-        } catch {}
-      }
+      await stopTask(params.taskId);
+      return {};
+    }
+    case 'setTaskPid':
+      if (!activeProcesses.has(params.taskId)) return {};
+      childPids.set(params.taskId, params.pid);
+      // Journaled so a runner that comes back after a crash can stop the group.
+      backgroundStore.updateTask(params.taskId, { processGroup: { pid: params.pid, start: processStartTime(params.pid) } });
       return {};
+    case 'signalTask':
+      return signalTask(params.taskId, params.signal);
+    case 'listTasks': {
+      const tasks = backgroundStore.getAllTasks()
+        .filter(t => (!params.status || t.status === params.status) && (!params.runtime || t.runtime === params.runtime))
+        .sort((a, b) => a.createdAt - b.createdAt);
+      return { tasks: tasks.map(t => summarizeTask(t)) };
     }
-    case 'listTasks':
-      return { tasks: backgroundStore.getAllTasks().map(t => ({ id: t.id, status: t.status })) };
     case 'pm2list': {
       const processes = [];
       for (const [taskId, proc] of activeProcesses) {
@@ -188,8 +324,11 @@ async function handleRPC(body) {
     case 'appendOutput':
       backgroundStore.appendOutput(params.taskId, params.type, params.data);
       return {};
-    case 'getAndClearOutput':
-      return { output: backgroundStore.getAndClearOutput(params.taskId) };
+    case 'readOutput': {
+      const output = backgroundStore.readOutput(params.taskId, { since: params.since || 0, tail: params.tail });
+      if (!output) throw Object.assign(new Error('Task not found'), { code: -32004 });
+      return output;
+    }
     case 'waitForOutput': {
       const result = await backgroundStore.waitForOutput(params.taskId, params.timeoutMs);
       return result;
@@ -211,10 +350,57 @@ async function handleRPC(body) {
   }
 }
 
+async function streamTask(req, res, taskId, { since = 0, tail } = {}) {
+  if (!backgroundStore.getTask(taskId)) return sendJSON(res, 404, { error: 'Task not found' });
+  res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Connection': 'keep-alive' });
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+  let closed = false;
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    backgroundStore.removeListener(`output:${taskId}`, onOutput);
+    res.end();
+  };
+  const checkDone = () => {
+    const task = backgroundStore.getTask(taskId);
+    if (!task) { send('done', { id: taskId, status: 'deleted', result: null }); return close(); }
+    if (task.status !== 'running' && task.status !== 'pending') {
+      send('done', { id: taskId, status: task.status, result: task.result });
+      close();
+    }
+  };
+  const onOutput = (entry) => {
+    if (entry) send('output', entry);
+    checkDone();
+  };
+  req.on('close', close);
+  // Replays a bounded read at a time, waiting for the client to drain between reads;
+  // the last read happens in the same tick as subscribing, so nothing is missed.
+  let output = backgroundStore.readOutput(taskId, { since, tail });
+  while (output) {
+    for (const entry of output.entries) send('output', entry);
+    if (!output.more) break;
+    if (res.writableNeedDrain) await new Promise(resolve => res.once('drain', resolve));
+    if (closed) return;
+    output = backgroundStore.readOutput(taskId, { since: output.next });
+  }
+  if (closed) return;
+  backgroundStore.on(`output:${taskId}`, onOutput);
+  checkDone();
+}
+
 async function handleRequest(req, res) {
   try {
     if (req.method === 'GET' && req.url === '/health') return sendJSON(res, 200, { ok: true });
+    const stream = req.method === 'GET' && /^\/tasks\/(\d+)\/stream(?:\?(since|tail)=(\d+))?$/.exec(req.url);
+    if (stream) {
+      if (!isAuthorized(req)) return sendJSON(res, 401, { error: 'Unauthorized' });
+      return streamTask(req, res, parseInt(stream[1], 10), stream[2] ? { [stream[2]]: parseInt(stream[3], 10) } : {});
+    }
     if (req.method === 'POST' && req.url === '/rpc') {
+      if (!isAuthorized(req)) return sendJSON(res, 401, { error: 'Unauthorized' });
       const body = await readBody(req);
       process.stderr.write('[rpc] ' + body.method + ' ' + JSON.stringify(body.params).slice(0,80) + '\n');
       try { return sendJSON(res, 200, { id: body.id, result: await handleRPC(body) }); }
@@ -225,20 +411,10 @@ async function handleRequest(req, res) {
 }
 
 async function gracefulShutdown() {
-  for (const [taskId, proc] of activeProcesses) {
-    try {
-      const IS_WIN = process.platform === 'win32';
-      if (IS_WIN) {
-        const { spawnSync } = require('child_process');
-        spawnSync('taskkill', ['/pid', String(proc.pid), '/t', '/f'], { stdio: 'ignore', windowsHide: true });
-      } else {
-        proc.kill('SIGTERM');
-      }
-    } catch {}
-  }
-  activeProcesses.clear();
+  await Promise.all([...activeProcesses.keys()].map(id => stopTask(id, SHUTDOWN_GRACE_MS)));
   backgroundStore.shutdown();
-  if (server) server.close(() => process.exit(0));
+  // Closing a Unix socket server unlinks its path, which may by now belong to another runner.
+  if (server && (!rpcEndpoint?.socketPath || ownsSocket())) server.close(() => process.exit(0));
   else process.exit(0);
 }
 
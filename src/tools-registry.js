@@ -1,5 +1,7 @@
-import { executionTools } from './tools/executor-tool-isolated.js';
-import { backgroundStore } from './background-tasks.js';
+import { executionTools, rerunTool } from './tools/executor-tool-isolated.js';
+import { backgroundStore, resolveTaskId } from './rpc-client.js';
+import { applyWorkspace, discardWorkspace } from './workspace.js';
+import { formatChanges, countChanges } from './file-changes.js';
 
 const response = {
   success(text) {
@@ -56,16 +58,14 @@ export const processStatusTool = createSimpleTool(
   {
     type: 'object',
     properties: {
-      task_id: { type: 'number', description: 'The task ID returned from execute' }
+      task_id: { type: ['number', 'string'], description: 'The task ID returned from execute, or the task\'s name' }
     },
     required: ['task_id']
   },
   async ({ task_id }) => {
     try {
-      if (typeof task_id !== 'number' || task_id < 1) {
-        return response.error('Invalid task_id: must be a positive number');
-      }
-      const task = backgroundStore.getTask(task_id);
+      const taskId = await resolveTaskId(task_id);
+      const task = await backgroundStore.getTask(taskId);
       if (!task) {
         return response.error(`Task ${task_id} not found`);
       }
@@ -76,6 +76,8 @@ export const processStatusTool = createSimpleTool(
         startedAt: task.startedAt ? new Date(task.startedAt).toISOString() : null,
         completedAt: task.completedAt ? new Date(task.completedAt).toISOString() : null,
         runtime: task.runtime,
+        name: task.name ?? null,
+        rerunOf: task.rerunOf ?? null,
         result: task.result
       });
     } catch (e) {
@@ -90,20 +92,18 @@ export const processCloseTool = createSimpleTool(
   {
     type: 'object',
     properties: {
-      task_id: { type: 'number', description: 'The task ID to close' }
+      task_id: { type: ['number', 'string'], description: 'The task ID to close, or the task\'s name' }
     },
     required: ['task_id']
   },
   async ({ task_id }) => {
     try {
-      if (typeof task_id !== 'number' || task_id < 1) {
-        return response.error('Invalid task_id: must be a positive number');
-      }
-      const task = backgroundStore.getTask(task_id);
+      const taskId = await resolveTaskId(task_id);
+      const task = await backgroundStore.getTask(taskId);
       if (!task) {
         return response.error(`Task ${task_id} not found`);
       }
-      backgroundStore.deleteTask(task_id);
+      await backgroundStore.deleteTask(taskId);
       return response.success(`Task ${task_id} closed`);
     } catch (e) {
       return response.error(`Close failed: ${e.message}`);
@@ -111,4 +111,31 @@ export const processCloseTool = createSimpleTool(
   }
 );
 
-export const allTools = [...(executionTools || []), sleepTool, processStatusTool, processCloseTool];
+export const applyChangesTool = createSimpleTool(
+  'apply_changes',
+  'Copy the changes from an isolatedCwd run back to its working directory, or discard them',
+  {
+    type: 'object',
+    properties: {
+      workspace_id: { type: 'string', description: 'The workspace ID from the isolatedCwd result (ws_...)' },
+      discard: { type: 'boolean', description: 'Delete the workspace without applying it' },
+      force: { type: 'boolean', description: 'Overwrite files that changed in the working directory since the copy was made' }
+    },
+    required: ['workspace_id']
+  },
+  async ({ workspace_id, discard, force }) => {
+    try {
+      if (typeof workspace_id !== 'string') return response.error('Invalid workspace_id: must be a string');
+      if (discard) {
+        discardWorkspace(workspace_id);
+        return response.success(`Workspace ${workspace_id} discarded`);
+      }
+      const { source, changes } = applyWorkspace(workspace_id, { force: force === true });
+      return response.success(`Applied ${countChanges(changes)} change(s) to ${source}\n${formatChanges(changes)}`);
+    } catch (e) {
+      return response.error(`Apply failed: ${e.message}`);
+    }
+  }
+);
+
+export const allTools = [...(executionTools || []), rerunTool, sleepTool, processStatusTool, processCloseTool, applyChangesTool];
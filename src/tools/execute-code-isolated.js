@@ -1,8 +1,9 @@
 import { executeCode as rpcExecuteCode } from '../rpc-client.js';
 
 const validate = {
-  execute({ code, workingDirectory }) {
-    if (!code || typeof code !== 'string') return 'Error: code must be a non-empty string';
+  execute({ code, files, workingDirectory }) {
+    if (code !== undefined && typeof code !== 'string') return 'Error: code must be a string';
+    if (!code && !files) return 'Error: code must be a non-empty string (or pass files)';
     if (!workingDirectory || typeof workingDirectory !== 'string') return 'Error: workingDirectory must be a non-empty string';
     return null;
   },
@@ -13,8 +14,8 @@ const validate = {
   }
 };
 
-export async function executeCode(code, runtime, workingDirectory, timeout = 30000, backgroundTaskId = null) {
-  return rpcExecuteCode(code, runtime, workingDirectory, timeout, backgroundTaskId);
+export async function executeCode(code, runtime, workingDirectory, timeout = 30000, backgroundTaskId = null, options = {}) {
+  return rpcExecuteCode(code, runtime, workingDirectory, timeout, backgroundTaskId, options);
 }
 
 export { validate };
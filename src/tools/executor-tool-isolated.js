@@ -1,8 +1,25 @@
 import { executeCode, validate } from './execute-code-isolated.js';
-import { backgroundStore } from '../rpc-client.js';
+import { backgroundStore, getRunnerConfig, resolveTaskId } from '../rpc-client.js';
 import { readFileSync, unlinkSync } from 'fs';
-
-const HARD_CEILING_MS = 15000;
+import { normalizeLimits, limitsSchema } from '../limits.js';
+import { parseTty, ttySchema } from '../pty.js';
+import { normalizeEnv, envSchema, cleanEnvSchema } from '../task-env.js';
+import { normalizeArgs, normalizeStdin, argsSchema, stdinSchema } from '../task-input.js';
+import { resolveLanguage } from '../detect-language.js';
+import { normalizeFiles, filesSchema, entrySchema } from '../project-files.js';
+import { languageEnum } from '../runtime-registry.js';
+import { normalizeSandbox, sandboxSchema, formatSandbox } from '../sandbox.js';
+import { isolatedCwdSchema } from '../workspace.js';
+import { trackChangesSchema, normalizeTrackChanges, formatChanges, countChanges } from '../file-changes.js';
+import { artifactContent } from '../artifacts.js';
+
+const SAFETY_GRACE_MS = 5000;
+
+// Built-in runtimes plus any from runtimes.json, read once when the tools are listed.
+const languageSchema = { type: 'string', enum: languageEnum(), description: 'Language (default: auto)' };
+
+const nameSchema = { type: 'string', description: 'Name for the task, usable as task_id in the other tools. Refused while another task with this name is running, unless replace is set.' };
+const replaceSchema = { type: 'boolean', description: 'Stop and delete a running task with the same name instead of refusing' };
 
 const formatters = {
   output(result) {
@@ -10,12 +27,26 @@ const formatters = {
     if (result.stderr) parts.push(`[STDERR]\n${result.stderr}`);
     return parts.length ? parts.join('\n\n') : '(no output)';
   },
-  context(result) {
-    const ctx = [`Exit code: ${result.exitCode ?? result.code}`, `Time: ${result.executionTimeMs}ms`];
+  context(result, runtime, detected) {
+    const ctx = [`Task: ${result.backgroundTaskId}${result.name ? ` "${result.name}"` : ''}${result.rerunOf ? ` (rerun of ${result.rerunOf})` : ''}`, `Exit code: ${result.exitCode ?? result.code}`, `Time: ${result.executionTimeMs}ms`];
+    if (runtime) ctx.push(`Language: ${runtime}${detected ? ' (auto-detected)' : ''}`);
+    if (result.compileCache) ctx.push(`Compile cache: ${result.compileCache}`);
+    if (result.sandbox) ctx.push(formatSandbox(result.sandbox));
+    if (result.isolated?.changes) ctx.push(`Isolated cwd: ${countChanges(result.isolated.changes)} change(s)`);
+    if (countChanges(result.changes)) ctx.push(`Files changed: ${countChanges(result.changes)}`);
+    if (result.artifacts?.length) ctx.push(`Artifacts: ${result.artifacts.length}`);
     if (result.stdout) ctx.push(`Stdout size: ${result.stdout.length} bytes`);
     if (result.stderr) ctx.push(`Stderr size: ${result.stderr.length} bytes`);
     return ctx.join(' | ');
   },
+  isolated(isolated) {
+    if (!isolated?.kept) return '';
+    return `\n\n[CHANGES]\n${formatChanges(isolated.changes)}\n\nWorkspace ${isolated.id} (${isolated.path}). Call apply_changes with workspace_id "${isolated.id}" to copy these to ${isolated.source}, or with discard: true to drop them.`;
+  },
+  changes(changes) {
+    if (!changes || (!changes.skipped && !countChanges(changes))) return '';
+    return `\n\n[FILES CHANGED]\n${formatChanges(changes)}`;
+  },
   logContent(logFile) {
     if (!logFile) return '';
     try {
@@ -28,70 +59,112 @@ const formatters = {
   }
 };
 
+// Files the task wrote to $GM_EXEC_ARTIFACTS follow the text block: images inline,
+// anything else as a resource link.
 const response = {
-  success(text) { return { content: [{ type: 'text', text }], isError: false }; },
-  error(text) { return { content: [{ type: 'text', text }], isError: true }; }
+  success(text, artifacts = []) { return { content: [{ type: 'text', text }, ...artifacts.map(artifactContent)], isError: false }; },
+  error(text, artifacts = []) { return { content: [{ type: 'text', text }, ...artifacts.map(artifactContent)], isError: true }; }
 };
 
 const createExecutionHandler = (validateFn, isBash = false) => async (args) => {
-  const { code, commands, workingDirectory, language = isBash ? 'bash' : 'auto', run_in_background } = args;
+  const { code, commands, workingDirectory, language = isBash ? 'bash' : 'auto', run_in_background, timeout: requestedTimeout, limits, tty, env, cleanEnv, args: argv, stdin, files, entry, sandbox, isolatedCwd, trackChanges, name, replace } = args;
 
   try {
-    const params = isBash ? { commands, workingDirectory } : { code, workingDirectory };
+    const params = isBash ? { commands, workingDirectory } : { code, files, workingDirectory };
     const err = validate[isBash ? 'bash' : 'execute'](params);
     if (err) return response.error(err);
-
-    const cmd = isBash ? (Array.isArray(commands) ? commands.join(' && ') : String(commands)) : code;
-    let runtime = language || 'nodejs';
-    if (!isBash && (runtime === 'typescript' || runtime === 'auto')) runtime = 'nodejs';
-
-    const backgroundTaskId = await backgroundStore.createTask(cmd, runtime, workingDirectory);
-
-    const timeout = HARD_CEILING_MS;
-    const deadline = Date.now() + timeout;
-    
-    const safetyTimeout = new Promise(resolve => {
-      const remaining = Math.max(100, deadline - Date.now());
-      setTimeout(() => {
-        backgroundStore.startTask(backgroundTaskId);
-        resolve({ backgroundTaskId, persisted: true });
-      }, remaining);
-    });
-    
-    const result = await Promise.race([
-      executeCode(cmd, runtime, workingDirectory, timeout, backgroundTaskId),
-      safetyTimeout
-    ]);
-
-    if (result.persisted) {
-      return response.success(
-        `Process backgrounded (ID: task_${result.backgroundTaskId})`
-      );
+    if (requestedTimeout !== undefined && (typeof requestedTimeout !== 'number' || requestedTimeout < 0)) {
+      return response.error('Error: timeout must be a non-negative number of milliseconds');
     }
 
-    if (result.backgroundTaskId && result.completed) {
-      return response.success(
-        `Process completed in background (ID: task_${result.backgroundTaskId})`
-      );
-    }
+    const cmd = isBash ? (Array.isArray(commands) ? commands.join(' && ') : String(commands)) : code || '';
+    const project = isBash ? null : normalizeFiles(files);
+    const { runtime, detected } = isBash ? { runtime: language || 'bash', detected: false } : resolveLanguage(language, cmd, { files: project, entry, cwd: workingDirectory });
+
+    const options = {
+      limits: normalizeLimits(limits), tty: parseTty(tty), env: normalizeEnv(env), cleanEnv: !!cleanEnv,
+      args: normalizeArgs(argv), stdin: normalizeStdin(stdin), files: project, entry: entry || null,
+      sandbox: normalizeSandbox(sandbox, workingDirectory), isolatedCwd: isolatedCwd === true,
+      trackChanges: normalizeTrackChanges(trackChanges)
+    };
+    const backgroundTaskId = await backgroundStore.createTask(cmd, runtime, workingDirectory, options, { name, replace: replace === true });
+    return await runTask({ backgroundTaskId, cmd, runtime, workingDirectory, options, detected, name }, run_in_background ? 0 : requestedTimeout);
+  } catch (error) {
+    return response.error(`Error: ${error?.message || String(error)}`);
+  }
+};
 
-    backgroundStore.deleteTask(backgroundTaskId);
+// Runs a task already created in the runner, in the foreground for up to `requestedTimeout`.
+async function runTask({ backgroundTaskId, cmd, runtime, workingDirectory, options, detected = false, name = null }, requestedTimeout) {
+  const timeout = requestedTimeout ?? (await getRunnerConfig().catch(() => ({}))).defaultWaitMs ?? 15000;
+
+  let safetyTimer;
+  const safetyTimeout = new Promise(resolve => {
+    safetyTimer = setTimeout(() => {
+      backgroundStore.startTask(backgroundTaskId);
+      resolve({ backgroundTaskId, persisted: true });
+    }, timeout + SAFETY_GRACE_MS);
+  });
+
+  const result = await Promise.race([
+    executeCode(cmd, runtime, workingDirectory, timeout, backgroundTaskId, options),
+    safetyTimeout
+  ]);
+  clearTimeout(safetyTimer);
+
+  if (result.persisted || (result.backgroundTaskId && !result.completed)) {
+    const id = `ID: task_${result.backgroundTaskId}${name ? `, name: ${name}` : ''}`;
+    return response.success(timeout === 0 ? `Process started in background (${id})` : `Process backgrounded after ${timeout}ms (${id})`);
+  }
 
-    const logContent = formatters.logContent(result.logFile);
-    const logSection = logContent ? `\n\n[LOG]\n${logContent}` : '';
+  await backgroundStore.deleteTask(backgroundTaskId).catch(() => {});
 
-    if (!result.success && !result.error) {
-      return response.error(`Command failed\n${formatters.context(result)}\n\n${formatters.output(result)}${logSection}`);
-    }
+  const logContent = formatters.logContent(result.logFile);
+  const logSection = (logContent ? `\n\n[LOG]\n${logContent}` : '') + formatters.isolated(result.isolated) + formatters.changes(result.changes);
+
+  const artifacts = result.artifacts || [];
+  if (!result.success && !result.error) {
+    return response.error(`Command failed\n${formatters.context(result, runtime, detected)}\n\n${formatters.output(result)}${logSection}`, artifacts);
+  }
 
-    if (result.error) return response.error(`Error: ${result.error}${logSection}`);
+  if (result.error) return response.error(`Error: ${result.error}${logSection}`, artifacts);
 
-    return response.success(`${formatters.context(result)}\n\n${formatters.output(result)}${logSection}`);
+  return response.success(`${formatters.context(result, runtime, detected)}\n\n${formatters.output(result)}${logSection}`, artifacts);
+}
+
+const rerunHandler = async ({ task_id, workingDirectory, env, args: argv, timeout, run_in_background, name, replace }) => {
+  try {
+    if (timeout !== undefined && (typeof timeout !== 'number' || timeout < 0)) {
+      return response.error('Error: timeout must be a non-negative number of milliseconds');
+    }
+    const taskId = await resolveTaskId(task_id, { includeDeleted: true });
+    const task = await backgroundStore.rerunTask(taskId, { workingDirectory, env: normalizeEnv(env), args: normalizeArgs(argv), name, replace: replace === true });
+    return await runTask({ ...task, backgroundTaskId: task.taskId, cmd: task.code }, run_in_background ? 0 : timeout);
   } catch (error) {
     return response.error(`Error: ${error?.message || String(error)}`);
   }
 };
 
+export const rerunTool = {
+  name: 'rerun',
+  description: 'Run an earlier task again (foreground runs included) with the same code, language and options, e.g. after editing a file',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      task_id: { type: ['number', 'string'], description: 'The task to run again: the "Task" number in an execution result, "task_N" or its name' },
+      workingDirectory: { type: 'string', description: 'Run in this directory instead of the original one' },
+      env: { ...envSchema, description: 'Environment variables set on top of the original task\'s. A null value removes one.' },
+      args: { ...argsSchema, description: 'Replace the original command-line arguments' },
+      name: { type: 'string', description: 'Name for the new task (default: the original task\'s name)' },
+      replace: { type: 'boolean', description: 'Stop and delete a running task with the same name first, e.g. to restart a named server' },
+      run_in_background: { type: 'boolean', description: 'Return immediately with task reference (same as timeout: 0).' },
+      timeout: { type: 'number', description: 'Milliseconds to wait in the foreground before auto-backgrounding (default: runner default, 15000)' }
+    },
+    required: ['task_id']
+  },
+  handler: rerunHandler
+};
+
 export const executionTools = process.platform === 'win32'
   ? [{
       name: 'code_execution',
@@ -100,11 +173,25 @@ export const executionTools = process.platform === 'win32'
         type: 'object',
         properties: {
           workingDirectory: { type: 'string', description: 'Working directory' },
-          code: { type: 'string', description: 'Code to execute' },
-          language: { type: 'string', enum: ['nodejs', 'typescript', 'deno', 'go', 'rust', 'python', 'c', 'cpp', 'java', 'auto'], description: 'Language (default: auto)' },
-          run_in_background: { type: 'boolean', description: 'Return immediately with task reference. Commands have a hard 15s ceiling then auto-background.' }
+          code: { type: 'string', description: 'Code to execute (optional when files is given)' },
+          language: languageSchema,
+          run_in_background: { type: 'boolean', description: 'Return immediately with task reference (same as timeout: 0).' },
+          timeout: { type: 'number', description: 'Milliseconds to wait in the foreground before auto-backgrounding (default: runner default, 15000)' },
+          limits: limitsSchema,
+          tty: ttySchema,
+          env: envSchema,
+          cleanEnv: cleanEnvSchema,
+          args: argsSchema,
+          stdin: stdinSchema,
+          sandbox: sandboxSchema,
+          isolatedCwd: isolatedCwdSchema,
+          trackChanges: trackChangesSchema,
+          files: filesSchema,
+          entry: entrySchema,
+          name: nameSchema,
+          replace: replaceSchema
         },
-        required: ['workingDirectory', 'code']
+        required: ['workingDirectory']
       },
       handler: createExecutionHandler(validate.execute)
     }]
@@ -115,11 +202,25 @@ export const executionTools = process.platform === 'win32'
         type: 'object',
         properties: {
           workingDirectory: { type: 'string', description: 'Working directory' },
-          code: { type: 'string', description: 'Code to execute' },
-          language: { type: 'string', enum: ['nodejs', 'typescript', 'deno', 'go', 'rust', 'python', 'c', 'cpp', 'java', 'auto'], description: 'Language (default: auto)' },
-          run_in_background: { type: 'boolean', description: 'Return immediately with task reference. Commands have a hard 15s ceiling then auto-background.' }
+          code: { type: 'string', description: 'Code to execute (optional when files is given)' },
+          language: languageSchema,
+          run_in_background: { type: 'boolean', description: 'Return immediately with task reference (same as timeout: 0).' },
+          timeout: { type: 'number', description: 'Milliseconds to wait in the foreground before auto-backgrounding (default: runner default, 15000)' },
+          limits: limitsSchema,
+          tty: ttySchema,
+          env: envSchema,
+          cleanEnv: cleanEnvSchema,
+          args: argsSchema,
+          stdin: stdinSchema,
+          sandbox: sandboxSchema,
+          isolatedCwd: isolatedCwdSchema,
+          trackChanges: trackChangesSchema,
+          files: filesSchema,
+          entry: entrySchema,
+          name: nameSchema,
+          replace: replaceSchema
         },
-        required: ['workingDirectory', 'code']
+        required: ['workingDirectory']
       },
       handler: createExecutionHandler(validate.execute)
     }, {
@@ -131,7 +232,19 @@ export const executionTools = process.platform === 'win32'
           workingDirectory: { type: 'string', description: 'Working directory' },
           commands: { type: ['string', 'array'], description: 'Commands to execute' },
           language: { type: 'string', enum: ['bash', 'sh', 'zsh'], description: 'Language (default: bash)' },
-          run_in_background: { type: 'boolean', description: 'Return immediately with task reference. Commands have a hard 15s ceiling then auto-background.' }
+          run_in_background: { type: 'boolean', description: 'Return immediately with task reference (same as timeout: 0).' },
+          timeout: { type: 'number', description: 'Milliseconds to wait in the foreground before auto-backgrounding (default: runner default, 15000)' },
+          limits: limitsSchema,
+          tty: ttySchema,
+          env: envSchema,
+          cleanEnv: cleanEnvSchema,
+          args: argsSchema,
+          stdin: stdinSchema,
+          sandbox: sandboxSchema,
+          isolatedCwd: isolatedCwdSchema,
+          trackChanges: trackChangesSchema,
+          name: nameSchema,
+          replace: replaceSchema
         },
         required: ['workingDirectory', 'commands']
       },
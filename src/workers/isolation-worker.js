@@ -1,33 +1,22 @@
 import { parentPort } from 'worker_threads';
-import { spawn, execSync } from 'child_process';
+import { spawn } from 'child_process';
 import { writeFileSync, mkdtempSync, rmSync, appendFileSync } from 'fs';
 import path from 'path';
 import os from 'os';
+import { runtimeBin, findBin } from '../runtime-registry.js';
 
-function findBin(...candidates) {
-  const probe = process.platform === 'win32' ? (b) => `where ${b}` : (b) => `which ${b}`;
-  for (const bin of candidates) {
-    try {
-      execSync(probe(bin), { stdio: 'ignore', timeout: 3000 });
-      return bin;
-    } catch {}
-  }
-  return candidates[0];
-}
-
-const PYTHON = findBin('python3', 'python');
-const SHELL = process.platform === 'win32' ? 'cmd.exe' : findBin('bash', 'sh');
-const DENO = findBin('deno');
-const GO = findBin('go');
-const RUSTC = findBin('rustc');
-const GCC = findBin('gcc');
-const GPP = findBin('g++');
-const JAVA = findBin('java');
-const JAVAC = findBin('javac');
-
+// Binaries come from the shared runtime registry so both executors agree on them.
 const IS_WIN = process.platform === 'win32';
-
-const POWERSHELL = findBin('pwsh', 'powershell');
+const PYTHON = runtimeBin('python');
+const SHELL = IS_WIN ? 'cmd.exe' : runtimeBin('bash');
+const DENO = runtimeBin('deno');
+const GO = runtimeBin('go');
+const RUSTC = runtimeBin('rust');
+const GCC = runtimeBin('c');
+const GPP = runtimeBin('cpp');
+const JAVA = findBin(['java']);
+const JAVAC = runtimeBin('java');
+const POWERSHELL = runtimeBin('powershell');
 
 const CONFIGS = {
   nodejs: { command: 'bun', args: ['-e'], inline: true },
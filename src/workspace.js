@@ -0,0 +1,145 @@
+import { cpSync, constants, lstatSync, readFileSync, writeFileSync, mkdirSync, rmSync, rmdirSync, existsSync, readlinkSync, symlinkSync, copyFileSync, chmodSync, readdirSync, statSync } from 'fs';
+import { join, dirname, basename } from 'path';
+import { homedir } from 'os';
+import { randomBytes } from 'crypto';
+import { snapshot, sameEntry, diffSnapshots, DEFAULT_IGNORE } from './file-changes.js';
+
+export const WORKSPACES_DIR = join(process.env.GM_EXEC_STATE_DIR || join(homedir(), '.gm-exec'), 'workspaces');
+
+export const isolatedCwdSchema = {
+  type: 'boolean',
+  description: 'Run against a throwaway copy of workingDirectory. The result lists created, modified and deleted files; apply_changes copies them back.'
+};
+
+const MAX_WORKSPACE_BYTES = 1024 * 1024 * 1024;
+const MAX_AGE_MS = 24 * 60 * 60 * 1000;
+// Installed dependencies are linked into the copy rather than copied; the other
+// ignored directories (VCS metadata, caches, build output) are left out.
+const LINKED_DIRS = new Set(['node_modules', '.venv', 'venv']);
+const IGNORED_DIRS = new Set(DEFAULT_IGNORE);
+
+// Workspaces are copied and diffed in full, however many files they hold, except
+// for the directories change tracking ignores.
+const snapshotAll = (root) => snapshot(root, { ignore: DEFAULT_IGNORE, limit: Infinity });
+
+function manifestFile(id) {
+  return join(WORKSPACES_DIR, id, 'manifest.json');
+}
+
+function inUse(id) {
+  try { process.kill(loadWorkspace(id).pid, 0); return true; } catch (e) { return e.code === 'EPERM'; }
+}
+
+// Copies nobody applied or discarded, or whose task was never closed, go after a
+// day, unless the task that made them is still running.
+export function pruneWorkspaces() {
+  const cutoff = Date.now() - MAX_AGE_MS;
+  let names = [];
+  try { names = readdirSync(WORKSPACES_DIR); } catch {}
+  for (const name of names) {
+    try {
+      if (statSync(join(WORKSPACES_DIR, name)).mtimeMs < cutoff && !inUse(name)) rmSync(join(WORKSPACES_DIR, name), { recursive: true, force: true });
+    } catch {}
+  }
+}
+
+function copyFilter(src, dest) {
+  const name = basename(src);
+  if (!IGNORED_DIRS.has(name)) return true;
+  if (LINKED_DIRS.has(name)) { try { symlinkSync(src, dest); } catch {} }
+  return false;
+}
+
+// Copies `source` into a new workspace, using reflinks where the filesystem has them.
+// The copy is snapshotted to diff against once the task is done, and the source to
+// spot conflicting edits on apply (copied mtimes can lose precision, so not one for both).
+export function createWorkspace(source) {
+  pruneWorkspaces();
+  const sourceBase = snapshotAll(source);
+  const size = Object.values(sourceBase).reduce((sum, [bytes]) => sum + Math.max(bytes, 0), 0);
+  if (size > MAX_WORKSPACE_BYTES) {
+    throw new Error(`${source} holds ${Math.round(size / 1048576)}MB, over the ${MAX_WORKSPACE_BYTES / 1048576}MB an isolated copy may take`);
+  }
+  const id = `ws_${randomBytes(4).toString('hex')}`;
+  const dir = join(WORKSPACES_DIR, id, 'tree');
+  mkdirSync(dirname(dir), { recursive: true, mode: 0o700 });
+  cpSync(source, dir, { recursive: true, preserveTimestamps: true, verbatimSymlinks: true, mode: constants.COPYFILE_FICLONE, filter: (src, dest) => src === source || copyFilter(src, dest) });
+  const manifest = { id, source, dir, pid: process.pid, createdAt: Date.now(), base: snapshotAll(dir), sourceBase };
+  writeFileSync(manifestFile(id), JSON.stringify(manifest));
+  return manifest;
+}
+
+export function loadWorkspace(id) {
+  if (!/^ws_[0-9a-f]+$/.test(id)) throw new Error(`Invalid workspace id: ${id}`);
+  try { return JSON.parse(readFileSync(manifestFile(id), 'utf8')); }
+  catch { throw new Error(`Workspace ${id} not found`); }
+}
+
+export function workspaceChanges(manifest) {
+  return diffSnapshots(manifest.base, snapshotAll(manifest.dir), { root: manifest.dir, original: manifest.source });
+}
+
+export function discardWorkspace(id) {
+  rmSync(join(WORKSPACES_DIR, loadWorkspace(id).id), { recursive: true, force: true });
+}
+
+function copyEntry(from, to) {
+  mkdirSync(dirname(to), { recursive: true });
+  const st = lstatSync(from);
+  if (lstatSync(to, { throwIfNoEntry: false })?.isDirectory()) rmdirSync(to);
+  else rmSync(to, { force: true });
+  if (st.isSymbolicLink()) symlinkSync(readlinkSync(from), to);
+  else { copyFileSync(from, to); chmodSync(to, st.mode & 0o7777); }
+}
+
+// The first directory on the way to `path` under `root` that is a symlink, unless the
+// apply deletes it first: writing or deleting through it would reach outside the source.
+function symlinkedParent(root, path, deleted) {
+  const parts = path.split('/');
+  for (let i = 1; i < parts.length; i++) {
+    const rel = parts.slice(0, i).join('/');
+    if (deleted.has(rel)) return null;
+    const st = lstatSync(join(root, rel), { throwIfNoEntry: false });
+    if (!st) return null;
+    if (st.isSymbolicLink()) return rel;
+  }
+  return null;
+}
+
+// Directories the workspace no longer has go once deleting their files empties them.
+function removeEmptyParents(root, path, dir) {
+  for (let rel = dirname(path); rel !== '.' && !existsSync(join(dir, rel)); rel = dirname(rel)) {
+    try { rmdirSync(join(root, rel)); } catch { return; }
+  }
+}
+
+// Copies the workspace's changes back to the source directory, then removes the
+// workspace. Files changed in the source since the copy was taken are conflicts and
+// stop the apply unless `force` is set. Deletions go first, so a path that changed
+// type (a symlink or file that became a directory, or the reverse) is cleared before
+// it is rewritten, and nothing is written or deleted through a symlinked directory.
+export function applyWorkspace(id, { force = false } = {}) {
+  const manifest = loadWorkspace(id);
+  if (!existsSync(manifest.source)) throw new Error(`Source directory ${manifest.source} no longer exists`);
+  const changes = workspaceChanges(manifest);
+  const current = snapshotAll(manifest.source);
+  const conflicts = force ? [] : [
+    ...changes.created.filter(p => current[p]),
+    ...[...changes.modified, ...changes.deleted].filter(p => !sameEntry(current[p], manifest.sourceBase[p])),
+  ];
+  if (conflicts.length) {
+    throw Object.assign(new Error(`Changed in ${manifest.source} since the workspace was created: ${conflicts.join(', ')} (use --force to overwrite)`), { conflicts });
+  }
+  const deleted = new Set(changes.deleted);
+  const linked = [...changes.created, ...changes.modified, ...changes.deleted].map(p => symlinkedParent(manifest.source, p, deleted)).filter(Boolean);
+  if (linked.length) {
+    throw new Error(`Not applying through symlinked directories in ${manifest.source}: ${[...new Set(linked)].join(', ')}`);
+  }
+  for (const path of changes.deleted) {
+    rmSync(join(manifest.source, path), { force: true });
+    removeEmptyParents(manifest.source, path, manifest.dir);
+  }
+  for (const path of [...changes.created, ...changes.modified]) copyEntry(join(manifest.dir, path), join(manifest.source, path));
+  rmSync(join(WORKSPACES_DIR, id), { recursive: true, force: true });
+  return { source: manifest.source, changes };
+}
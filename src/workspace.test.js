@@ -0,0 +1,94 @@
+import { test, expect, afterAll } from 'bun:test';
+import { mkdtempSync, mkdirSync, writeFileSync, readFileSync, rmSync, existsSync, symlinkSync, lstatSync, readdirSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+const base = mkdtempSync(join(tmpdir(), 'gm-exec-workspace-'));
+const savedStateDir = process.env.GM_EXEC_STATE_DIR;
+process.env.GM_EXEC_STATE_DIR = join(base, 'state');
+const { createWorkspace, applyWorkspace, discardWorkspace, WORKSPACES_DIR } = await import('./workspace.js');
+
+afterAll(() => {
+  rmSync(base, { recursive: true, force: true });
+  if (savedStateDir === undefined) delete process.env.GM_EXEC_STATE_DIR;
+  else process.env.GM_EXEC_STATE_DIR = savedStateDir;
+});
+
+let count = 0;
+function source(files) {
+  const dir = join(base, `src${++count}`);
+  mkdirSync(dir, { recursive: true });
+  for (const [path, content] of Object.entries(files)) {
+    mkdirSync(join(dir, path, '..'), { recursive: true });
+    writeFileSync(join(dir, path), content);
+  }
+  return dir;
+}
+
+const read = (dir, path) => readFileSync(join(dir, path), 'utf8');
+
+test('apply copies created, modified and deleted files back and removes the copy', () => {
+  const src = source({ 'keep.txt': 'keep', 'edit.txt': 'old', 'gone/only.txt': 'x' });
+  const ws = createWorkspace(src);
+  writeFileSync(join(ws.dir, 'edit.txt'), 'new');
+  writeFileSync(join(ws.dir, 'added.txt'), 'added');
+  rmSync(join(ws.dir, 'gone'), { recursive: true });
+  const { changes } = applyWorkspace(ws.id);
+  expect(changes).toEqual({ created: ['added.txt'], modified: ['edit.txt'], deleted: ['gone/only.txt'] });
+  expect([read(src, 'keep.txt'), read(src, 'edit.txt'), read(src, 'added.txt')]).toEqual(['keep', 'new', 'added']);
+  expect(existsSync(join(src, 'gone'))).toBe(false);
+  expect(existsSync(join(WORKSPACES_DIR, ws.id))).toBe(false);
+});
+
+test('discard drops the copy without touching the source', () => {
+  const src = source({ 'a.txt': 'a' });
+  const ws = createWorkspace(src);
+  writeFileSync(join(ws.dir, 'a.txt'), 'changed');
+  discardWorkspace(ws.id);
+  expect(read(src, 'a.txt')).toBe('a');
+  expect(existsSync(join(WORKSPACES_DIR, ws.id))).toBe(false);
+});
+
+test('files changed in the source since the copy are conflicts unless forced', () => {
+  const src = source({ 'a.txt': 'a' });
+  const ws = createWorkspace(src);
+  writeFileSync(join(ws.dir, 'a.txt'), 'from workspace');
+  writeFileSync(join(src, 'a.txt'), 'from source, longer');
+  expect(() => applyWorkspace(ws.id)).toThrow(/a\.txt \(use --force/);
+  applyWorkspace(ws.id, { force: true });
+  expect(read(src, 'a.txt')).toBe('from workspace');
+});
+
+test('a symlinked directory replaced by a real one is not written through', () => {
+  const outside = source({ 'victim.txt': 'safe' });
+  const src = source({});
+  symlinkSync(outside, join(src, 'lib'));
+  const ws = createWorkspace(src);
+  rmSync(join(ws.dir, 'lib'));
+  mkdirSync(join(ws.dir, 'lib'));
+  writeFileSync(join(ws.dir, 'lib', 'victim.txt'), 'overwritten');
+  applyWorkspace(ws.id);
+  expect(read(outside, 'victim.txt')).toBe('safe');
+  expect(lstatSync(join(src, 'lib')).isDirectory()).toBe(true);
+  expect(read(src, 'lib/victim.txt')).toBe('overwritten');
+});
+
+test('a directory replaced by a file is applied', () => {
+  const src = source({ 'thing/inner.txt': 'x' });
+  const ws = createWorkspace(src);
+  rmSync(join(ws.dir, 'thing'), { recursive: true });
+  writeFileSync(join(ws.dir, 'thing'), 'now a file');
+  applyWorkspace(ws.id);
+  expect(read(src, 'thing')).toBe('now a file');
+});
+
+test('nothing is applied under a source directory that became a symlink', () => {
+  const outside = source({});
+  const src = source({ 'out/a.txt': 'a' });
+  const ws = createWorkspace(src);
+  writeFileSync(join(ws.dir, 'out', 'b.txt'), 'b');
+  rmSync(join(src, 'out'), { recursive: true });
+  symlinkSync(outside, join(src, 'out'));
+  expect(() => applyWorkspace(ws.id, { force: true })).toThrow(/symlinked directories .*: out$/);
+  expect(readdirSync(outside)).toEqual([]);
+});